@@ -1,12 +1,12 @@
 const FastNodeREST = require('../index.js');
 
+const { BadRequest, Unauthorized, UnprocessableEntity } = FastNodeREST;
+
 // Middleware для проверки авторизации (простая версия)
 const authMiddleware = (req, res, next) => {
     const token = req.headers.authorization;
     if (!token) {
-        const error = new Error('Authorization required');
-        error.status = 401;
-        throw error;
+        throw new Unauthorized('Authorization required');
     }
     req.user = { id: 1, name: 'John Doe' };
     next();
@@ -39,10 +39,9 @@ const routes = {
                         const { username, password } = req.body;
                         
                         if (!username || !password) {
-                            const error = new Error('Username and password required');
-                            error.status = 400;
-                            error.field = !username ? 'username' : 'password';
-                            throw error;
+                            throw new BadRequest('Username and password required', {
+                                field: !username ? 'username' : 'password'
+                            });
                         }
 
                         return {
@@ -58,9 +57,7 @@ const routes = {
                         const { username, email, password } = req.body;
                         
                         if (!username || !email || !password) {
-                            const error = new Error('All fields are required');
-                            error.status = 400;
-                            throw error;
+                            throw new BadRequest('All fields are required');
                         }
 
                         return {
@@ -142,9 +139,7 @@ const routes = {
                         const { title, content } = req.body;
                         
                         if (!title || !content) {
-                            const error = new Error('Title and content are required');
-                            error.status = 400;
-                            throw error;
+                            throw new BadRequest('Title and content are required');
                         }
 
                         return {
@@ -167,9 +162,7 @@ const routes = {
                         const { id } = req.params;
                         
                         if (!id || isNaN(id)) {
-                            const error = new Error('Invalid post ID');
-                            error.status = 400;
-                            throw error;
+                            throw new BadRequest('Invalid post ID', { field: 'id' });
                         }
 
                         return {
@@ -187,11 +180,11 @@ const routes = {
                 error: {
                     method: 'post',
                     handler: async (req, res) => {
-                        const error = new Error('Deliberate error for testing');
-                        error.status = 422;
-                        error.field = 'test_field';
-                        error.extra = { code: 'TEST_ERROR', details: 'This is intentional' };
-                        throw error;
+                        throw new UnprocessableEntity('Deliberate error for testing', {
+                            code: 'TEST_ERROR',
+                            field: 'test_field',
+                            details: 'This is intentional'
+                        });
                     }
                 }
             }
@@ -210,12 +203,17 @@ async function startServer() {
             prefix: '',
             routes,
             enableLogging: true,
+            // В ответ попадают только эти поля ошибки (кроме message)
+            errorFields: ['code', 'field', 'details', 'errors', 'extra', 'retryAfter'],
             // Встроенный health check
             healthCheck: true,
             healthCheckData: {
                 environment: process.env.NODE_ENV || 'development',
                 features: ['routing', 'middleware', 'health-check']
-            }
+            },
+            // Graceful shutdown по SIGTERM/SIGINT
+            handleSignals: true,
+            shutdownTimeout: 5000
         });
 
         // Запуск сервера
@@ -244,14 +242,6 @@ curl -X POST http://localhost:${PORT}/api/v1/auth/login -H "Content-Type: applic
 curl -X POST http://localhost:${PORT}/api/v1/posts/error
 `);
 
-        // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log('SIGTERM received, shutting down gracefully');
-            server.stop().then(() => {
-                process.exit(0);
-            });
-        });
-
     } catch (error) {
         console.error('Failed to start server:', error.message);
         process.exit(1);
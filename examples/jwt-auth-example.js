@@ -1,5 +1,7 @@
 const FastNodeREST = require('../index.js');
 
+const { Unauthorized } = FastNodeREST;
+
 // Настройки JWT
 const JWT_CONFIG = {
     JWT_SECRET: 'your-super-secret-access-key-change-in-production',
@@ -15,9 +17,6 @@ const users = new Map([
     ['user', { id: 2, username: 'user', password: 'user123', role: 'user' }]
 ]);
 
-// Черный список refresh токенов (в продакшене использовать Redis)
-const revokedTokens = new Set();
-
 // Создание сервера с JWT конфигурацией
 const server = new FastNodeREST({
     port: process.env.PORT || 3000,
@@ -36,21 +35,24 @@ const server = new FastNodeREST({
         features: ['jwt', 'auth', 'refresh-tokens', 'service-tokens'],
         jwtConfigured: !!(JWT_CONFIG.JWT_SECRET && JWT_CONFIG.JWT_REFRESH)
     },
-    ...JWT_CONFIG // Передаем JWT настройки
+    ...JWT_CONFIG, // Передаем JWT настройки
+    // Хранилище отозванных refresh токенов (в продакшене - адаптер к Redis)
+    tokenStore: new FastNodeREST.MemoryTokenStore(),
+    // Зависимости приходят в handler третьим аргументом ctx - в тестах подменяются фейками
+    services: { users },
+    // SIGTERM/SIGINT: дожидаемся текущих запросов и останавливаемся
+    handleSignals: true
 });
 
-// Middleware для логирования аутентификации
+// Middleware для логирования аутентификации (req.log уже содержит requestId)
 const authLogMiddleware = (req, res, next) => {
-    const method = req.method;
-    const path = req.path;
-    
     if (req.user) {
-        console.log(`[AUTH] User ${req.user.user_id} accessed ${method} ${path}`);
+        req.log.info({ user_id: req.user.user_id, path: req.path }, 'User accessed route');
         if (req.user.tokenRefreshed) {
-            console.log(`[AUTH] Token refreshed for user ${req.user.user_id}`);
+            req.log.info({ user_id: req.user.user_id }, 'Token refreshed');
         }
     } else if (req.service) {
-        console.log(`[AUTH] Service '${req.service.name}' accessed ${method} ${path}`);
+        req.log.info({ service: req.service.name, path: req.path }, 'Service accessed route');
     }
     
     next();
@@ -76,21 +78,25 @@ const routes = {
                 // Вход в систему
                 login: {
                     method: 'post',
-                    handler: async (req, res) => {
-                        const { username, password } = req.body;
-                        
-                        if (!username || !password) {
-                            const error = new Error('Username and password are required');
-                            error.status = 400;
-                            error.field = !username ? 'username' : 'password';
-                            throw error;
+                    // Защита от перебора паролей: 5 попыток с одного IP за 15 минут
+                    rateLimit: { windowMs: 15 * 60 * 1000, max: 5, key: 'ip' },
+                    // Декларативная валидация вместо ручных проверок req.body
+                    schema: {
+                        body: {
+                            type: 'object',
+                            required: ['username', 'password'],
+                            properties: {
+                                username: { type: 'string', minLength: 1 },
+                                password: { type: 'string', minLength: 1 }
+                            }
                         }
+                    },
+                    handler: async (req, res, { users }) => {
+                        const { username, password } = req.body;
 
                         const user = users.get(username);
                         if (!user || user.password !== password) {
-                            const error = new Error('Invalid credentials');
-                            error.status = 401;
-                            throw error;
+                            throw new Unauthorized('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
                         }
 
                         // Генерируем токены используя встроенные методы
@@ -98,12 +104,7 @@ const routes = {
                         const refreshToken = server.jwt.issueRefreshToken(user.id, { role: user.role });
 
                         // Устанавливаем refresh token в httpOnly cookie
-                        res.cookie('refreshToken', refreshToken, {
-                            httpOnly: true,
-                            secure: process.env.NODE_ENV === 'production',
-                            sameSite: 'strict',
-                            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 дней
-                        });
+                        server.jwt.setRefreshCookie(res, refreshToken);
 
                         return {
                             message: 'Login successful',
@@ -122,15 +123,14 @@ const routes = {
                     method: 'post',
                     middlewares: [server.middleware.auth, authLogMiddleware],
                     handler: async (req, res) => {
-                        // Получаем refresh token из cookie
+                        // Отзываем всё семейство refresh токенов этого логина
                         const refreshToken = req.cookies?.refreshToken;
                         if (refreshToken) {
-                            // Добавляем в черный список
-                            revokedTokens.add(refreshToken);
+                            await server.jwt.revokeRefreshToken(refreshToken);
                         }
 
                         // Очищаем cookie
-                        res.clearCookie('refreshToken');
+                        server.jwt.clearRefreshCookie(res);
 
                         return { message: 'Logout successful' };
                     }
@@ -143,34 +143,25 @@ const routes = {
                         const refreshToken = req.cookies?.refreshToken;
                         
                         if (!refreshToken) {
-                            const error = new Error('Refresh token not found');
-                            error.status = 401;
-                            throw error;
+                            throw new Unauthorized('Refresh token not found');
                         }
 
-                        if (revokedTokens.has(refreshToken)) {
-                            res.clearCookie('refreshToken');
-                            const error = new Error('Refresh token has been revoked');
-                            error.status = 401;
+                        // Ротация: новый access token + новый refresh token, старый становится использованным
+                        let rotated;
+                        try {
+                            rotated = await server.jwt.rotateRefreshToken(refreshToken);
+                        } catch (error) {
+                            server.jwt.clearRefreshCookie(res);
                             throw error;
                         }
 
-                        const decoded = server.jwt.verifyToken(refreshToken, JWT_CONFIG.JWT_REFRESH);
-                        if (!decoded?.user_id || decoded?.type !== 'refresh') {
-                            res.clearCookie('refreshToken');
-                            const error = new Error('Invalid refresh token');
-                            error.status = 401;
-                            throw error;
+                        if (rotated.refreshToken) {
+                            server.jwt.setRefreshCookie(res, rotated.refreshToken);
                         }
 
-                        // Генерируем новый access token
-                        const newAccessToken = server.jwt.issueAccessToken(decoded.user_id, { 
-                            role: decoded.role 
-                        });
-
                         return {
                             message: 'Token refreshed successfully',
-                            accessToken: newAccessToken
+                            accessToken: rotated.accessToken
                         };
                     }
                 }
@@ -182,8 +173,8 @@ const routes = {
                 profile: {
                     method: 'get',
                     middlewares: [server.middleware.auth, authLogMiddleware],
-                    handler: async (req, res) => {
-                        const user = Array.from(users.values()).find(u => u.id === req.user.user_id);
+                    handler: async (req, res, ctx) => {
+                        const user = Array.from(ctx.users.values()).find(u => u.id === ctx.user.user_id);
                         
                         return {
                             user: {
@@ -202,15 +193,17 @@ const routes = {
                 update: {
                     method: 'put',
                     middlewares: [server.middleware.authUserOnly, authLogMiddleware],
+                    schema: {
+                        body: {
+                            type: 'object',
+                            required: ['username'],
+                            properties: {
+                                username: { type: 'string', minLength: 3, maxLength: 32 }
+                            }
+                        }
+                    },
                     handler: async (req, res) => {
                         const { username } = req.body;
-                        
-                        if (!username) {
-                            const error = new Error('Username is required');
-                            error.status = 400;
-                            error.field = 'username';
-                            throw error;
-                        }
 
                         return {
                             message: 'Profile updated successfully',
@@ -224,22 +217,31 @@ const routes = {
             admin: {
                 users: {
                     method: 'get',
-                    middlewares: [server.middleware.auth, authLogMiddleware],
-                    handler: async (req, res) => {
-                        // Проверяем права администратора
-                        if (req.user.payload.role !== 'admin') {
-                            const error = new Error('Admin access required');
-                            error.status = 403;
-                            throw error;
+                    // Встроенный auth + проверка роли из payload токена
+                    auth: { roles: ['admin'] },
+                    middlewares: [authLogMiddleware],
+                    // Схема ответа отбрасывает поле password у пользователей
+                    response: {
+                        200: {
+                            type: 'object',
+                            properties: {
+                                users: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'username'],
+                                        properties: {
+                                            id: { type: 'integer' },
+                                            username: { type: 'string' },
+                                            role: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
                         }
-
-                        return {
-                            users: Array.from(users.values()).map(u => ({
-                                id: u.id,
-                                username: u.username,
-                                role: u.role
-                            }))
-                        };
+                    },
+                    handler: async (req, res, { users }) => {
+                        return { users: Array.from(users.values()) };
                     }
                 }
             },
@@ -264,22 +266,19 @@ const routes = {
                 // Создание service токена (только для админов)
                 'create-service': {
                     method: 'post',
-                    middlewares: [server.middleware.auth, authLogMiddleware],
-                    handler: async (req, res) => {
-                        if (req.user.payload.role !== 'admin') {
-                            const error = new Error('Admin access required');
-                            error.status = 403;
-                            throw error;
+                    auth: { roles: ['admin'] },
+                    middlewares: [authLogMiddleware],
+                    schema: {
+                        body: {
+                            type: 'object',
+                            required: ['serviceName'],
+                            properties: {
+                                serviceName: { type: 'string', pattern: '^[a-z0-9-]+$' }
+                            }
                         }
-
+                    },
+                    handler: async (req, res) => {
                         const { serviceName } = req.body;
-                        if (!serviceName) {
-                            const error = new Error('Service name is required');
-                            error.status = 400;
-                            error.field = 'serviceName';
-                            throw error;
-                        }
-
                         const serviceToken = server.jwt.issueServiceToken(serviceName);
                         
                         return {
@@ -345,14 +344,6 @@ curl -H "Authorization: Bearer YOUR_SERVICE_TOKEN" \\
   http://localhost:${server.config.port}/api/v1/service/status
 `);
 
-        // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log('SIGTERM received, shutting down gracefully');
-            server.stop().then(() => {
-                process.exit(0);
-            });
-        });
-
     } catch (error) {
         console.error('Failed to start server:', error.message);
         process.exit(1);
@@ -69,9 +69,7 @@ function runExample2() {
             handler: async (req, res) => {
                 const { username } = req.body;
                 if (!username) {
-                    const error = new Error('Username required');
-                    error.status = 400;
-                    throw error;
+                    throw new FastNodeREST.BadRequest('Username required', { field: 'username' });
                 }
                 
                 const accessToken = server.jwt.issueAccessToken(123, { username });
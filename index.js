@@ -1,339 +1,3092 @@
 const express = require('express');
 const cookieParser = require('cookie-parser');
 const jwt = require('jsonwebtoken');
+const busboy = require('busboy');
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { join: joinPath } = require('path');
+const http = require('http');
+const https = require('https');
+const { Duplex, pipeline } = require('stream');
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+const CORS_HEADERS = [
+    'Access-Control-Allow-Origin',
+    'Access-Control-Allow-Credentials',
+    'Access-Control-Allow-Methods',
+    'Access-Control-Allow-Headers',
+    'Access-Control-Max-Age',
+    'Access-Control-Expose-Headers'
+];
+
+// Заголовки фреймворка, которые клиент должен иметь возможность прочитать
+const CORS_EXPOSED_HEADERS = [
+    'X-Request-Id',
+    'X-New-Access-Token',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+];
+
+const SCHEMA_LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+// Поля ctx, которые заполняет фреймворк - сервисы с такими именами запрещены
+const RESERVED_CONTEXT_KEYS = new Set(['user', 'service', 'log', 'requestId', 'cache']);
+
+// Этапы обработки маршрута, к которым можно подключить хуки
+const HOOK_STAGES = ['onRequest', 'preHandler', 'onSend', 'onError', 'onResponse'];
+
+const SCHEMA_FORMATS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+    uri: /^[a-z][a-z\d+.-]*:\/\/\S+$/i
+};
+
+// Только собственные ключи - иначе constructor, toString и т.п. находятся через прототип
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Служебные claims, которые не переносятся в новые токены при ротации
+const RESERVED_CLAIMS = new Set(['user_id', 'type', 'iat', 'exp', 'nbf', 'jti', 'fam', 'iss', 'aud', 'sub']);
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const generateId = () => crypto.randomBytes(16).toString('hex');
+
+// Импорт и экспорт ключей в формате JWK появились в Node.js 15.12 - остальное работает и на 14
+const assertJwkSupport = (feature) => {
+    if (Number(process.versions.node.split('.')[0]) < 16) {
+        throw new Error(`${feature} requires Node.js >= 16 (JWK key import/export), running ${process.version}`);
+    }
+};
+
+const toKeyObject = (key, type) => {
+    if (key instanceof crypto.KeyObject) {
+        if (key.type === type) return key;
+        // Публичный ключ можно получить из приватного, но не наоборот
+        if (type === 'public' && key.type === 'private') return crypto.createPublicKey(key);
+        throw new Error(`Expected a ${type} key, received a ${key.type} KeyObject`);
+    }
+    return type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+};
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    stack: error.stack
+});
+
+// enableLogging: true | false | уровень | { level, stream }
+const resolveLogLevel = (enableLogging) => {
+    if (enableLogging === true) return 'info';
+    if (!enableLogging) return 'silent';
+    if (typeof enableLogging === 'string') return enableLogging;
+    return enableLogging.level || 'info';
+};
+
+/**
+ * Логгер фреймворка: фильтрует по уровню и добавляет bindings (requestId и т.п.).
+ * target - pino-подобный логгер (logger.info(fields, msg)), winston-подобный (logger.log(level, msg, fields))
+ * или null - тогда JSON строки пишутся в stream (по умолчанию stdout, warn/error - stderr).
+ */
+const createLogger = ({ level = 'info', target = null, stream = null, bindings = {} } = {}) => {
+    const threshold = LOG_LEVELS[level] ?? Infinity;
+    const isWinston = target && typeof target.log === 'function' && typeof target.add === 'function';
+    const logger = {};
+
+    Object.keys(LOG_LEVELS).forEach(logLevel => {
+        logger[logLevel] = (fields, msg) => {
+            if (LOG_LEVELS[logLevel] < threshold) return;
+            if (typeof fields === 'string') {
+                msg = fields;
+                fields = {};
+            }
+
+            const data = { ...bindings, ...fields };
+            if (data.err instanceof Error) {
+                data.err = serializeError(data.err);
+            }
+
+            if (isWinston) {
+                target.log(logLevel, msg, data);
+            } else if (target) {
+                target[logLevel](data, msg);
+            } else {
+                const output = stream || (LOG_LEVELS[logLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout);
+                output.write(`${JSON.stringify({ level: logLevel, time: new Date().toISOString(), msg, ...data })}\n`);
+            }
+        };
+    });
+
+    logger.child = (childBindings) => createLogger({ level, target, stream, bindings: { ...bindings, ...childBindings } });
+    return logger;
+};
+
+const fetchJson = (url, timeout = 5000) => new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { timeout, headers: { Accept: 'application/json' } }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+            if (response.statusCode !== 200) {
+                return reject(new Error(`Request to ${url} failed with status ${response.statusCode}`));
+            }
+            try {
+                resolve(JSON.parse(data));
+            } catch (error) {
+                reject(new Error(`Invalid JSON from ${url}`));
+            }
+        });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+});
+
+/**
+ * In-memory хранилище состояния refresh токенов (по умолчанию).
+ * Адаптер (Redis, БД) реализует те же методы, синхронно или возвращая Promise:
+ *   markUsed(jti, expiresAt)      - отметить токен использованным, вернуть время предыдущего использования или null
+ *   isRevoked({ jti, family })    - отозван ли токен или всё его семейство
+ *   revoke(jti, expiresAt)        - отозвать один токен
+ *   revokeFamily(family, expiresAt) - отозвать все токены, выпущенные от одного логина
+ * expiresAt - время истечения токена в ms, после него запись можно удалить.
+ */
+class MemoryTokenStore {
+    constructor() {
+        this.used = new Map();
+        this.revokedTokens = new Map();
+        this.revokedFamilies = new Map();
+    }
+
+    prune() {
+        const now = Date.now();
+        [this.used, this.revokedTokens, this.revokedFamilies].forEach(map => {
+            map.forEach((entry, key) => {
+                if (entry.expiresAt <= now) map.delete(key);
+            });
+        });
+    }
+
+    markUsed(jti, expiresAt) {
+        this.prune();
+        const previous = this.used.get(jti);
+        if (previous) return previous.usedAt;
+
+        this.used.set(jti, { usedAt: Date.now(), expiresAt });
+        return null;
+    }
+
+    isRevoked({ jti, family }) {
+        return this.revokedTokens.has(jti) || this.revokedFamilies.has(family);
+    }
+
+    revoke(jti, expiresAt) {
+        this.revokedTokens.set(jti, { expiresAt });
+    }
+
+    revokeFamily(family, expiresAt) {
+        const current = this.revokedFamilies.get(family);
+        // Семейство живёт, пока жив самый поздний его токен
+        this.revokedFamilies.set(family, { expiresAt: Math.max(current?.expiresAt || 0, expiresAt) });
+    }
+}
+
+/**
+ * In-memory LRU кэш ответов (по умолчанию).
+ * Адаптер (например, к Redis) реализует get(key), set(key, value, ttlMs, tags),
+ * invalidateTags(tags) и clear(), синхронно или возвращая Promise.
+ */
+class MemoryCacheStore {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return null;
+        }
+
+        // Map хранит порядок вставки - перемещаем запись в конец как недавно использованную
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttl, tags = []) {
+        this.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl, tags });
+
+        tags.forEach(tag => {
+            if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+            this.tags.get(tag).add(key);
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        entry.tags.forEach(tag => {
+            const keys = this.tags.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) this.tags.delete(tag);
+        });
+    }
+
+    invalidateTags(tags) {
+        tags.forEach(tag => [...(this.tags.get(tag) || [])].forEach(key => this.delete(key)));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.tags.clear();
+    }
+}
+
+/**
+ * In-memory счётчики rate limit с фиксированным окном (по умолчанию).
+ * Адаптер реализует increment(key, windowMs), синхронно или возвращая Promise,
+ * и отдаёт { count, resetTime } - число запросов в текущем окне и время его окончания в ms.
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+        this.nextPrune = 0;
+    }
+
+    increment(key, windowMs) {
+        const now = Date.now();
+
+        if (now >= this.nextPrune) {
+            this.counters.forEach((counter, counterKey) => {
+                if (counter.resetTime <= now) this.counters.delete(counterKey);
+            });
+            this.nextPrune = now + windowMs;
+        }
+
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetTime <= now) {
+            counter = { count: 0, resetTime: now + windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.count += 1;
+        return { count: counter.count, resetTime: counter.resetTime };
+    }
+}
+
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Минимальный реестр метрик в текстовом формате Prometheus
+class MetricsRegistry {
+    constructor({ buckets }) {
+        this.buckets = buckets;
+        this.metrics = new Map();
+    }
+
+    define(name, type, help) {
+        this.metrics.set(name, { type, help, series: new Map() });
+    }
+
+    getSeries(name, labels, create) {
+        const metric = this.metrics.get(name);
+        const key = JSON.stringify(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { labels, ...create() });
+        }
+        return metric.series.get(key);
+    }
+
+    inc(name, labels = {}, value = 1) {
+        this.getSeries(name, labels, () => ({ value: 0 })).value += value;
+    }
+
+    dec(name, labels = {}, value = 1) {
+        this.inc(name, labels, -value);
+    }
+
+    observe(name, labels, value) {
+        const series = this.getSeries(name, labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    render() {
+        const lines = [];
+
+        this.metrics.forEach(({ type, help, series }, name) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+            series.forEach(({ labels, value, counts, sum, count }) => {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${formatLabels(labels)} ${value}`);
+                    return;
+                }
+
+                this.buckets.forEach((bucket, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Пара связанных Duplex потоков вместо TCP соединения для inject()
+const createSocketPair = () => {
+    const sockets = [0, 1].map(index => {
+        const socket = new Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                sockets[1 - index].push(chunk);
+                callback();
+            },
+            final(callback) {
+                sockets[1 - index].push(null);
+                callback();
+            },
+            // Обрыв соединения до end() виден другой стороне, как у TCP
+            destroy(error, callback) {
+                if (!socket.writableFinished) {
+                    sockets[1 - index].destroy();
+                }
+                callback(error);
+            }
+        });
+
+        // http ожидает от сокета API net.Socket
+        return Object.assign(socket, {
+            remoteAddress: '127.0.0.1',
+            remotePort: 0,
+            setTimeout() { return this; },
+            setNoDelay() { return this; },
+            setKeepAlive() { return this; },
+            ref() { return this; },
+            unref() { return this; }
+        });
+    });
+
+    return sockets;
+};
+
+/**
+ * HTTP ошибка со статусом. Бросается из handler или middleware:
+ * throw new FastNodeREST.NotFound('User not found', { code: 'USER_NOT_FOUND', details: { id } })
+ * headers (например Retry-After) выставляются в ответ и не попадают в тело.
+ * expose: true оставляет message 5xx ошибки видимым клиенту в production.
+ */
+class HttpError extends Error {
+    constructor(status, message = http.STATUS_CODES[status], { code, details, headers, cause, expose = status < 500, type, ...fields } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code || (http.STATUS_CODES[status] || 'Error').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+        if (details !== undefined) this.details = details;
+        Object.assign(this, fields);
+        Object.defineProperty(this, 'headers', { value: headers || {}, enumerable: false });
+        Object.defineProperty(this, 'expose', { value: expose, enumerable: false });
+        // URI типа проблемы для application/problem+json
+        Object.defineProperty(this, 'type', { value: type || 'about:blank', enumerable: false });
+    }
+}
+
+const HTTP_ERRORS = {
+    BadRequest: 400,
+    Unauthorized: 401,
+    Forbidden: 403,
+    NotFound: 404,
+    MethodNotAllowed: 405,
+    NotAcceptable: 406,
+    Conflict: 409,
+    Gone: 410,
+    PayloadTooLarge: 413,
+    UnsupportedMediaType: 415,
+    UnprocessableEntity: 422,
+    TooManyRequests: 429,
+    InternalServerError: 500,
+    NotImplemented: 501,
+    ServiceUnavailable: 503
+};
+
+// Классы вида class NotFound extends HttpError со статусом по умолчанию
+const httpErrors = Object.fromEntries(Object.entries(HTTP_ERRORS).map(([name, status]) => [name, {
+    [name]: class extends HttpError {
+        constructor(message, options) {
+            super(status, message, options);
+        }
+    }
+}[name]]));
+
+// Парсеры тела, подключаемые на маршруте опцией bodyParser (JSON разбирается глобально)
+const BODY_PARSERS = {
+    urlencoded: options => express.urlencoded({ extended: true, ...options }),
+    text: options => express.text(options),
+    raw: options => express.raw(options)
+};
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Массив объектов -> CSV, колонки - объединение ключей всех строк
+const toCsv = (rows) => {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return `${lines.map(line => line.map(escapeCsvValue).join(',')).join('\r\n')}\r\n`;
+};
+
+const isRowList = data => Array.isArray(data) && data.every(row => row && typeof row === 'object' && !Array.isArray(row));
+
+// allowedTypes: ['image/png', 'image/*']
+const matchesMimeType = (allowedTypes, mimeType) => allowedTypes.some(pattern =>
+    pattern === mimeType || (pattern.endsWith('/*') && mimeType.startsWith(pattern.slice(0, -1)))
+);
+
+const assertHook = (stage, hook, path) => {
+    const suffix = path ? ` for route: ${path}` : '';
+    if (!HOOK_STAGES.includes(stage)) {
+        throw new Error(`Unknown hook stage "${stage}"${suffix}`);
+    }
+    if (typeof hook !== 'function') {
+        throw new Error(`Hook ${stage} must be a function${suffix}`);
+    }
+};
+
+/**
+ * Контекст плагина. Маршруты, хуки и декораторы видны только самому плагину
+ * и вложенным плагинам: дочерний контекст наследует родительский через прототип.
+ */
+class PluginScope {
+    constructor(server) {
+        this.server = server;
+        this.parent = null;
+        this.prefix = '';
+        this.name = null;
+        this.log = server.log;
+        this.hooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, []]));
+    }
+
+    createChild({ prefix = '', name = null } = {}) {
+        const child = Object.create(this);
+        child.parent = this;
+        child.prefix = `${this.prefix}/${prefix}`.replace(/\/+/g, '/').replace(/\/$/, '');
+        child.name = name;
+        child.log = name ? this.log.child({ plugin: name }) : this.log;
+        child.hooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, []]));
+        return child;
+    }
+
+    register(plugin, { prefix = '', name = plugin?.name || null, ...options } = {}) {
+        if (typeof plugin !== 'function') {
+            throw new Error('Plugin must be a function');
+        }
+        if (this.server.serverInstance) {
+            throw new Error('Plugins must be registered before start()');
+        }
+
+        const child = this.createChild({ prefix, name });
+        const load = Promise.resolve().then(() => plugin(child, options));
+        // Ошибка плагина пробрасывается из start(), а не как unhandled rejection
+        load.catch(() => {});
+        this.server.pluginLoads.push(load);
+        return this;
+    }
+
+    // Маршруты в формате config.routes, пути относительно prefix плагина
+    addRoutes(routes) {
+        if (!routes || typeof routes !== 'object') {
+            throw new Error('Routes must be an object');
+        }
+        this.server.pluginRoutes.push({ routes, scope: this });
+        return this;
+    }
+
+    addHook(stage, hook) {
+        assertHook(stage, hook);
+        this.hooks[stage].push(hook);
+        return this;
+    }
+
+    // Хуки родительских контекстов выполняются раньше собственных
+    getHooks(stage) {
+        return [...(this.parent ? this.parent.getHooks(stage) : []), ...this.hooks[stage]];
+    }
+
+    decorate(name, value) {
+        if (name in this) {
+            throw new Error(`Decorator "${name}" already exists`);
+        }
+        this[name] = value;
+        return this;
+    }
+
+    addHealthCheck(name, check, options) {
+        this.server.addHealthCheck(this.name ? `${this.name}:${name}` : name, check, options);
+        return this;
+    }
+
+    onClose(hook) {
+        this.server.onClose(hook);
+        return this;
+    }
+
+    get jwt() {
+        return this.server.jwt;
+    }
+
+    get middleware() {
+        return this.server.middleware;
+    }
+}
+
+/**
+ * Ответ text/event-stream, возвращается из handler через server.sse(source, options).
+ * source - async iterable событий { data, event, id } или функция (stream) => {},
+ * которая пишет в stream.send() до stream.close() или отключения клиента.
+ */
+class ServerSentEvents {
+    constructor(source, { heartbeat = 15000, retry = null } = {}) {
+        if (typeof source !== 'function' && typeof source?.[Symbol.asyncIterator] !== 'function') {
+            throw new Error('SSE source must be a function or an async iterable');
+        }
+        this.source = source;
+        this.heartbeat = heartbeat;
+        this.retry = retry;
+    }
+}
+
+const isReadableStream = value => value && typeof value.pipe === 'function' && typeof value.on === 'function';
+
+// Поля SSE не должны содержать переводов строк, иначе клиент разберёт их как новые поля
+const formatEventField = value => String(value).replace(/[\r\n]/g, '');
+
+const formatEvent = ({ data, event, id }) => {
+    const lines = [];
+    if (id !== undefined && id !== null) lines.push(`id: ${formatEventField(id)}`);
+    if (event) lines.push(`event: ${formatEventField(event)}`);
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    (text === undefined ? '' : text).split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`));
+    return `${lines.join('\n')}\n\n`;
+};
 
 class FastNodeREST {
     constructor({
         port,
         prefix = '',
         routes = {},
+        // true | false | 'debug' | 'info' | 'warn' | 'error' | { level, stream }
         enableLogging = true,
+        // Внешний логгер (pino, winston), по умолчанию - JSON в stdout/stderr
+        logger = null,
+        requestIdHeader = 'X-Request-Id',
         cors = true,
         security = true,
         jsonLimit = '10mb',
+        // Rate limit по умолчанию для всех маршрутов: { windowMs, max, key }
+        rateLimit = null,
+        rateLimitStore = null,
+        // Хранилище кэша ответов (cache на маршрутах), по умолчанию in-memory LRU
+        cacheStore = null,
+        // Express 'trust proxy' - чтобы req.ip брался из X-Forwarded-For
+        trustProxy = false,
+        // В dev режиме ответы, не совпадающие со схемой response, приводят к ошибке
+        devMode = process.env.NODE_ENV !== 'production',
+        // Текст и stack 5xx ошибок в ответе клиенту - только явно и только для локальной отладки
+        debugErrors = false,
+        // Формат ошибок: 'default' ({ error: {...} }) | 'problem' (RFC 7807 application/problem+json)
+        errorFormat = 'default',
+        // Поля ошибки, попадающие в ответ кроме message; null - все перечисляемые поля
+        errorFields = null,
+        // Репортинг 5xx ошибок во внешний трекер: (err, req, { errorId, status }) => {}
+        errorReporter = null,
+        // Имя занято хуком onError (hooks.onError) - опция сервера с ним не принимается
+        onError = null,
+        // Дополнительные форматы ответа: { 'application/xml': (data, req, res) => string | { serialize, test } }
+        serializers = {},
         // Health check настройки
         healthCheck = true,
         healthCheckPath = '/health-check',
         healthCheckData = null,
+        // Kubernetes probes включаются явно: livenessPath: '/live', readinessPath: '/ready'
+        livenessPath = null,
+        readinessPath = null,
+        // Graceful shutdown
+        shutdownTimeout = 10000,
+        handleSignals = false,
+        // Серверные хуки: { onRequest: fn | [fn], preHandler, onSend, onError, onResponse }
+        hooks = {},
+        // Зависимости для ctx handler: { db, config, mailer }
+        services = {},
+        // Фабрики на запрос: { tx: (req, ctx) => ... }, вызываются при первом обращении
+        requestServices = {},
+        // OpenAPI настройки
+        openapi = false,
+        // Prometheus метрики: true | { path, buckets }
+        metrics = false,
         // JWT настройки
         JWT_SECRET = null,
         JWT_REFRESH = null,
         JWT_SERVICE = null,
         JWT_EXPIRATION = '15m',
-        JWT_REFRESH_EXPIRATION = '7d'
+        JWT_REFRESH_EXPIRATION = '7d',
+        // Окно (ms), в котором повторное использование refresh токена не считается атакой -
+        // параллельные запросы клиента с одним и тем же cookie
+        JWT_REFRESH_REUSE_INTERVAL = 10000,
+        // Хранилище отозванных/использованных refresh токенов
+        tokenStore = null,
+        refreshCookieOptions = {},
+        // Асимметричные ключи для access/service токенов: [{ kid, alg, privateKey, publicKey }]
+        JWT_KEYS = null,
+        JWT_ACTIVE_KID = null,
+        jwksPath = '/.well-known/jwks.json',
+        // iss/aud собственных токенов и допуск расхождения часов (секунды)
+        JWT_ISSUER = null,
+        JWT_AUDIENCE = null,
+        JWT_CLOCK_TOLERANCE = 0,
+        // Внешние identity провайдеры: [{ issuer, audience, jwksUri | jwksFile | jwks, ... }]
+        JWT_ISSUERS = []
     } = {}) {
+        if (onError) {
+            throw new Error('Unknown option onError: use errorReporter to report errors or hooks.onError to replace the error response');
+        }
+
         this.config = {
             port,
             prefix,
             routes,
             enableLogging,
+            requestIdHeader,
             cors,
             security,
             jsonLimit,
+            rateLimit,
+            trustProxy,
+            devMode,
+            debugErrors,
+            errorFormat,
+            errorFields,
+            errorReporter,
             healthCheck,
             healthCheckPath,
             healthCheckData,
+            livenessPath,
+            readinessPath,
+            shutdownTimeout,
+            handleSignals,
+            openapi,
+            metrics,
             JWT_SECRET,
             JWT_REFRESH,
             JWT_SERVICE,
             JWT_EXPIRATION,
-            JWT_REFRESH_EXPIRATION
+            JWT_REFRESH_EXPIRATION,
+            JWT_REFRESH_REUSE_INTERVAL,
+            jwksPath,
+            JWT_ISSUER,
+            JWT_AUDIENCE,
+            JWT_CLOCK_TOLERANCE,
+            refreshCookieOptions: {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production',
+                sameSite: 'strict',
+                ...refreshCookieOptions
+            }
         };
 
+        this.log = createLogger({
+            level: resolveLogLevel(enableLogging),
+            stream: enableLogging?.stream,
+            target: logger
+        });
+
+        this.metrics = metrics ? this.createMetricsRegistry() : null;
+
+        this.tokenStore = tokenStore || new MemoryTokenStore();
+        this.rateLimitStore = rateLimitStore || new MemoryRateLimitStore();
+        this.cacheStore = cacheStore || new MemoryCacheStore();
+
+        this.jwtKeys = new Map();
+        this.activeKid = null;
+        (JWT_KEYS || []).forEach(key => this.addJwtKey(key));
+        if (JWT_ACTIVE_KID) {
+            this.setActiveJwtKey(JWT_ACTIVE_KID);
+        }
+
+        this.issuers = JWT_ISSUERS.map(issuer => this.normalizeIssuer(issuer));
+
+        this.hooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, []]));
+        Object.entries(hooks).forEach(([stage, fns]) => [].concat(fns).forEach(fn => this.addHook(stage, fn)));
+
+        // Форматы ответа по Accept: JSON всегда, NDJSON и CSV - для массивов
+        this.serializers = new Map();
+        this.addSerializer('application/json', data => JSON.stringify(data));
+        this.addSerializer('application/x-ndjson', rows => rows.map(row => `${JSON.stringify(row)}\n`).join(''), {
+            test: Array.isArray
+        });
+        this.addSerializer('text/csv', toCsv, { test: isRowList });
+        Object.entries(serializers).forEach(([type, serializer]) => (
+            typeof serializer === 'function'
+                ? this.addSerializer(type, serializer)
+                : this.addSerializer(type, serializer.serialize, serializer)
+        ));
+
+        // Открытые SSE потоки - закрываются при stop()
+        this.eventStreams = new Set();
+        this.webSockets = new Set();
+        this.hasWebSocketRoutes = false;
+        // Пути WebSocket маршрутов: upgrade на любой другой путь получает 404
+        this.webSocketPaths = express.Router();
+
+        this.services = {};
+        this.requestServices = {};
+        Object.entries(services).forEach(([name, value]) => this.addService(name, value));
+        Object.entries(requestServices).forEach(([name, factory]) => this.addRequestService(name, factory));
+
+        this.rootScope = new PluginScope(this);
+        this.pluginLoads = [];
+        this.pluginRoutes = [];
+
         this.app = null;
+        // Текущая сборка: параллельные inject() ждут её, а не собирают приложение заново
+        this.building = null;
+        this.routeTable = [];
         this.serverInstance = null;
+        this.injectServer = null;
         this.startTime = null;
+        this.healthChecks = new Map();
+        this.shuttingDown = false;
+        this.stopping = null;
+        this.closeHooks = [];
+        // socket -> число незавершённых запросов на нём
+        this.connections = new Map();
+        this.signalHandlers = null;
     }
 
     // ===== UTILITY МЕТОДЫ =====
     
+    // test(data) - может ли сериализатор представить этот ответ (CSV - только массив объектов)
+    addSerializer(type, serialize, { test = () => true } = {}) {
+        if (typeof serialize !== 'function') {
+            throw new Error(`Serializer for ${type} must be a function`);
+        }
+        this.serializers.set(type, { serialize, test });
+        return this;
+    }
+
+    // Формат ответа по Accept: { type, body }, NotAcceptable если ни один не подходит
+    renderSuccess(res, data) {
+        const req = res.req;
+        if (!req?.headers.accept) {
+            return { type: 'application/json', body: JSON.stringify(data) };
+        }
+
+        const types = [...this.serializers].filter(([, { test }]) => test(data)).map(([type]) => type);
+        if (types.length > 1) {
+            res.vary('Accept');
+        }
+
+        const type = req.accepts(types);
+        if (!type) {
+            throw new httpErrors.NotAcceptable(`Acceptable types: ${types.join(', ')}`);
+        }
+
+        return { type, body: this.serializers.get(type).serialize(data, req, res) };
+    }
+
     sendSuccess(res, data = {}, status = 200) {
-        res.status(status).json(data);
+        let rendered;
+        try {
+            rendered = this.renderSuccess(res, data);
+        } catch (error) {
+            if (!(error instanceof httpErrors.NotAcceptable)) throw error;
+            return this.sendError(res, error, error.status);
+        }
+
+        res.status(status).type(rendered.type).send(rendered.body);
     }
 
-    sendError(res, error, status = 400) {
+    // Поля ошибки для ответа: whitelist errorFields или все перечисляемые поля
+    getErrorFields(error) {
         // Служебные поля Error, которые не нужны в API ответе
-        const excludeFields = new Set(['name', 'stack', 'constructor', 'toString', 'valueOf']);
-        
-        const errorData = {
-            message: error?.message || 'An error occurred'
-        };
+        const excludeFields = new Set([
+            'name', 'stack', 'constructor', 'toString', 'valueOf', 'message', 'headers', 'expose', 'statusCode'
+        ]);
+        const fields = {};
 
-        // Добавляем все кастомные поля из ошибки
-        if (error && typeof error === 'object') {
-            for (const key in error) {
-                if (!excludeFields.has(key) && key !== 'message') {
-                    errorData[key] = error[key];
-                }
+        if (!error || typeof error !== 'object') return fields;
+
+        const { errorFields } = this.config;
+        if (errorFields) {
+            errorFields.forEach(key => {
+                if (error[key] !== undefined && !excludeFields.has(key)) fields[key] = error[key];
+            });
+            return fields;
+        }
+
+        for (const key in error) {
+            if (!excludeFields.has(key)) {
+                fields[key] = error[key];
             }
         }
+        return fields;
+    }
+
+    // extra - поля фреймворка (errorId, stack), не зависящие от errorFields
+    sendError(res, error, status = 400, extra = {}) {
+        const message = error?.message || 'An error occurred';
+        const fields = { ...this.getErrorFields(error), ...extra };
+
+        if (this.config.errorFormat === 'problem') {
+            // Поля RFC 7807 не перекрываются полями ошибки, type задаётся только через HttpError
+            const { status: ignoredStatus, type: ignoredType, title, detail, instance, ...extensions } = fields;
+            const problem = {
+                type: error instanceof HttpError ? error.type : 'about:blank',
+                title: http.STATUS_CODES[status] || 'Error',
+                status,
+                detail: message,
+                instance: res.req?.originalUrl,
+                ...extensions
+            };
+            res.status(status).type('application/problem+json').json(problem);
+            return;
+        }
 
-        const errorResponse = { error: errorData };
-        res.status(status).json(errorResponse);
+        res.status(status).json({ error: { message, ...fields } });
     }
 
     // ===== JWT МЕТОДЫ =====
 
-    verifyToken(token, secret) {
+    // secret - HMAC секрет или Map асимметричных ключей по kid
+    verifyToken(token, secret, options = this.getVerifyOptions()) {
         if (!token || !secret) return null;
         
         try {
-            return jwt.verify(token, secret);
+            if (secret instanceof Map) {
+                const kid = jwt.decode(token, { complete: true })?.header?.kid;
+                const key = kid && secret.get(kid);
+                if (!key) return null;
+                return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+            }
+            return jwt.verify(token, secret, options);
         } catch (error) {
-            if (error.name !== 'TokenExpiredError' && error.name !== 'JsonWebTokenError') {
-                console.error('[JWT] Token verification error:', error.message);
+            if (!['TokenExpiredError', 'JsonWebTokenError', 'NotBeforeError'].includes(error.name)) {
+                this.log.warn({ err: error }, 'Token verification error');
             }
             return null;
         }
     }
 
-    issueAccessToken(user_id, additionalPayload = {}) {
-        if (!this.config.JWT_SECRET) {
-            throw new Error('JWT_SECRET not configured');
-        }
-        if (!user_id) throw new Error('user_id is required for token generation');
-        
-        const payload = { 
-            user_id, 
-            type: 'access',
-            iat: Math.floor(Date.now() / 1000),
-            ...additionalPayload 
+    getVerifyOptions() {
+        const { JWT_ISSUER, JWT_AUDIENCE, JWT_CLOCK_TOLERANCE } = this.config;
+        return {
+            ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+            ...(JWT_AUDIENCE && { audience: JWT_AUDIENCE }),
+            clockTolerance: JWT_CLOCK_TOLERANCE
         };
-        
-        return jwt.sign(payload, this.config.JWT_SECRET, { 
-            expiresIn: this.config.JWT_EXPIRATION 
-        });
     }
 
-    issueRefreshToken(user_id, additionalPayload = {}) {
-        if (!this.config.JWT_REFRESH) {
-            throw new Error('JWT_REFRESH not configured');
+    // ===== ВНЕШНИЕ ISSUERS =====
+
+    normalizeIssuer(options) {
+        if (!options?.issuer) {
+            throw new Error('JWT issuer configuration requires issuer');
         }
-        if (!user_id) throw new Error('user_id is required for refresh token generation');
-        
-        const payload = { 
-            user_id, 
-            type: 'refresh',
-            iat: Math.floor(Date.now() / 1000),
-            ...additionalPayload 
+        assertJwkSupport('JWT_ISSUERS');
+        if (!options.jwksUri && !options.jwksFile && !options.jwks) {
+            throw new Error(`JWT issuer "${options.issuer}" requires jwksUri, jwksFile or jwks`);
+        }
+
+        return {
+            algorithms: ['RS256', 'ES256'],
+            userIdClaim: 'sub',
+            cacheTtl: 10 * 60 * 1000,
+            // Не чаще раза в 30 секунд перезагружаем JWKS из-за неизвестного kid или после ошибки загрузки
+            refreshInterval: 30 * 1000,
+            ...options,
+            cache: { keys: new Map(), loadedAt: 0, attemptedAt: 0, pending: null }
         };
-        
-        return jwt.sign(payload, this.config.JWT_REFRESH, { 
-            expiresIn: this.config.JWT_REFRESH_EXPIRATION 
+    }
+
+    async loadIssuerKeys(issuer) {
+        const { cache } = issuer;
+
+        if (!cache.pending) {
+            cache.attemptedAt = Date.now();
+            cache.pending = (async () => {
+                let document = issuer.jwks;
+                if (issuer.jwksFile) {
+                    document = JSON.parse(await fs.promises.readFile(issuer.jwksFile, 'utf8'));
+                } else if (issuer.jwksUri) {
+                    document = await fetchJson(issuer.jwksUri);
+                }
+
+                const keys = new Map();
+                (document?.keys || []).forEach(jwk => {
+                    if (jwk.use && jwk.use !== 'sig') return;
+                    try {
+                        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+                    } catch (error) {
+                        this.log.warn({ err: error, kid: jwk.kid, issuer: issuer.issuer }, 'Skipping invalid JWK');
+                    }
+                });
+
+                cache.keys = keys;
+                cache.loadedAt = Date.now();
+            })().finally(() => {
+                cache.pending = null;
+            });
+        }
+
+        return cache.pending;
+    }
+
+    async getIssuerKey(issuer, kid) {
+        const { cache } = issuer;
+        const age = Date.now() - cache.loadedAt;
+        const findKey = () => kid ? cache.keys.get(kid) : (cache.keys.size === 1 ? cache.keys.values().next().value : null);
+
+        // Неудачная загрузка тоже считается попыткой - иначе недоступный IdP получал бы запрос на каждый токен
+        const canReload = cache.pending || Date.now() - cache.attemptedAt > issuer.refreshInterval;
+        if (canReload && (age > issuer.cacheTtl || !findKey())) {
+            await this.loadIssuerKeys(issuer);
+        }
+        return findKey() || null;
+    }
+
+    // Возвращает { payload, issuer } для токена внешнего провайдера или null
+    async verifyExternalToken(token) {
+        if (this.issuers.length === 0) return null;
+
+        const decoded = jwt.decode(token, { complete: true });
+        const issuer = this.issuers.find(item => item.issuer === decoded?.payload?.iss);
+        if (!issuer) return null;
+
+        try {
+            const key = await this.getIssuerKey(issuer, decoded.header.kid);
+            if (!key) return null;
+
+            const payload = jwt.verify(token, key, {
+                algorithms: issuer.algorithms,
+                issuer: issuer.issuer,
+                ...(issuer.audience && { audience: issuer.audience }),
+                clockTolerance: this.config.JWT_CLOCK_TOLERANCE
+            });
+            return { payload, issuer };
+        } catch (error) {
+            if (!['TokenExpiredError', 'JsonWebTokenError', 'NotBeforeError'].includes(error.name)) {
+                this.log.warn({ err: error, issuer: issuer.issuer }, 'External token verification error');
+            }
+            return null;
+        }
+    }
+
+    // Собственный access token или токен внешнего issuer
+    async authenticateUserToken(token) {
+        const decoded = this.verifyToken(token, this.getTokenSecret('access'));
+        if (decoded?.user_id && decoded?.type === 'access') {
+            return { user_id: decoded.user_id, payload: decoded };
+        }
+
+        const external = await this.verifyExternalToken(token);
+        const user_id = external?.payload[external.issuer.userIdClaim];
+        if (user_id) {
+            return { user_id, payload: external.payload, issuer: external.issuer.issuer };
+        }
+
+        return null;
+    }
+
+    // ===== JWT КЛЮЧИ =====
+
+    addJwtKey(key, { activate = false } = {}) {
+        if (!key?.kid) {
+            throw new Error('JWT key requires a kid');
+        }
+
+        const alg = key.alg || 'RS256';
+        if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+            throw new Error(`Unsupported JWT key algorithm "${alg}" for kid: ${key.kid}`);
+        }
+
+        // KeyObject (например, из generateKeyPairSync) используется как есть, PEM/DER/JWK - конвертируется
+        const privateKey = key.privateKey ? toKeyObject(key.privateKey, 'private') : null;
+        const publicKey = key.publicKey
+            ? toKeyObject(key.publicKey, 'public')
+            : privateKey && crypto.createPublicKey(privateKey);
+
+        if (!publicKey) {
+            throw new Error(`JWT key "${key.kid}" requires privateKey or publicKey`);
+        }
+
+        this.jwtKeys.set(key.kid, { kid: key.kid, alg, privateKey, publicKey });
+
+        // Первый ключ с privateKey становится активным
+        if (privateKey && (activate || !this.activeKid)) {
+            this.activeKid = key.kid;
+        }
+    }
+
+    // Ключ без privateKey остаётся только для проверки - так выводят старые ключи из ротации
+    removeJwtKey(kid) {
+        if (kid === this.activeKid) {
+            throw new Error(`Cannot remove active JWT key: ${kid}`);
+        }
+        return this.jwtKeys.delete(kid);
+    }
+
+    setActiveJwtKey(kid) {
+        const key = this.jwtKeys.get(kid);
+        if (!key?.privateKey) {
+            throw new Error(`JWT key "${kid}" not found or has no privateKey`);
+        }
+        this.activeKid = kid;
+    }
+
+    getJwks() {
+        assertJwkSupport('getJwks()');
+        return {
+            keys: Array.from(this.jwtKeys.values()).map(({ kid, alg, publicKey }) => ({
+                ...publicKey.export({ format: 'jwk' }),
+                kid,
+                alg,
+                use: 'sig'
+            }))
+        };
+    }
+
+    // Access и service токены подписываются активным асимметричным ключом, если ключи настроены
+    getTokenSecret(type) {
+        if (this.jwtKeys.size > 0) return this.jwtKeys;
+        return type === 'service' ? this.config.JWT_SERVICE : this.config.JWT_SECRET;
+    }
+
+    signToken(payload, secret, expiresIn) {
+        const options = {
+            expiresIn,
+            ...(this.config.JWT_ISSUER && { issuer: this.config.JWT_ISSUER }),
+            ...(this.config.JWT_AUDIENCE && { audience: this.config.JWT_AUDIENCE })
+        };
+
+        if (secret instanceof Map) {
+            const key = secret.get(this.activeKid);
+            if (!key) {
+                throw new Error('No active JWT signing key configured');
+            }
+            return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+        }
+        return jwt.sign(payload, secret, options);
+    }
+
+    createJwksEndpoint() {
+        const jwksPath = this.config.jwksPath;
+        // jwksPath: null - ключи только для подписи, без публикации (так работает и Node.js 14)
+        if (this.jwtKeys.size === 0 || !jwksPath) return;
+        assertJwkSupport('JWKS endpoint');
+
+        this.log.info({ method: 'GET', path: jwksPath }, 'JWKS endpoint registered');
+
+        // Ключи могут меняться во время работы - документ строится на каждый запрос
+        this.app.get(jwksPath, (req, res) => {
+            res.setHeader('Cache-Control', 'public, max-age=300');
+            this.sendSuccess(res, this.getJwks());
+        });
+    }
+
+    // ===== ВЫПУСК ТОКЕНОВ =====
+
+    issueAccessToken(user_id, additionalPayload = {}) {
+        const secret = this.getTokenSecret('access');
+        if (!secret) {
+            throw new Error('JWT_SECRET not configured');
+        }
+        if (!user_id) throw new Error('user_id is required for token generation');
+        
+        const payload = { 
+            user_id, 
+            type: 'access',
+            iat: Math.floor(Date.now() / 1000),
+            ...additionalPayload 
+        };
+        
+        return this.signToken(payload, secret, this.config.JWT_EXPIRATION);
+    }
+
+    issueRefreshToken(user_id, additionalPayload = {}) {
+        if (!this.config.JWT_REFRESH) {
+            throw new Error('JWT_REFRESH not configured');
+        }
+        if (!user_id) throw new Error('user_id is required for refresh token generation');
+        
+        // jti - идентификатор токена, fam - семейство токенов одного логина
+        const payload = { 
+            user_id, 
+            type: 'refresh',
+            iat: Math.floor(Date.now() / 1000),
+            ...additionalPayload,
+            jti: generateId(),
+            fam: additionalPayload.fam || generateId()
+        };
+        
+        return this.signToken(payload, this.config.JWT_REFRESH, this.config.JWT_REFRESH_EXPIRATION);
+    }
+
+    getCustomClaims(payload) {
+        return Object.fromEntries(Object.entries(payload).filter(([key]) => !RESERVED_CLAIMS.has(key)));
+    }
+
+    // Обменивает refresh token на новую пару токенов, старый refresh token становится использованным
+    async rotateRefreshToken(refreshToken) {
+        const decoded = this.verifyToken(refreshToken, this.config.JWT_REFRESH);
+        if (!decoded?.user_id || decoded?.type !== 'refresh' || !decoded?.jti) {
+            throw new httpErrors.Unauthorized('Invalid refresh token. Please log in again');
+        }
+
+        const expiresAt = decoded.exp * 1000;
+
+        if (await this.tokenStore.isRevoked({ jti: decoded.jti, family: decoded.fam })) {
+            throw new httpErrors.Unauthorized('Refresh token has been revoked');
+        }
+
+        const claims = this.getCustomClaims(decoded);
+        const usedAt = await this.tokenStore.markUsed(decoded.jti, expiresAt);
+
+        if (usedAt) {
+            // Параллельные запросы с тем же cookie получают только access token
+            if (Date.now() - usedAt <= this.config.JWT_REFRESH_REUSE_INTERVAL) {
+                return {
+                    accessToken: this.issueAccessToken(decoded.user_id, claims),
+                    refreshToken: null,
+                    payload: decoded
+                };
+            }
+
+            // Повторное использование ротированного токена - отзываем всё семейство
+            await this.tokenStore.revokeFamily(decoded.fam, expiresAt);
+            throw new httpErrors.Unauthorized('Refresh token reuse detected. Please log in again', {
+                code: 'REFRESH_TOKEN_REUSED'
+            });
+        }
+
+        return {
+            accessToken: this.issueAccessToken(decoded.user_id, claims),
+            refreshToken: this.issueRefreshToken(decoded.user_id, { ...claims, fam: decoded.fam }),
+            payload: decoded
+        };
+    }
+
+    // Отзывает семейство токенов (logout на этом устройстве)
+    async revokeRefreshToken(refreshToken) {
+        const decoded = this.verifyToken(refreshToken, this.config.JWT_REFRESH);
+        if (!decoded?.jti || decoded?.type !== 'refresh') return false;
+
+        await this.tokenStore.revokeFamily(decoded.fam, decoded.exp * 1000);
+        return true;
+    }
+
+    setRefreshCookie(res, refreshToken) {
+        const { exp } = jwt.decode(refreshToken) || {};
+        res.cookie('refreshToken', refreshToken, {
+            ...this.config.refreshCookieOptions,
+            ...(exp && { maxAge: exp * 1000 - Date.now() })
+        });
+    }
+
+    // Браузер удаляет cookie, только если path и domain совпадают с установленными
+    clearRefreshCookie(res) {
+        const { maxAge, expires, ...options } = this.config.refreshCookieOptions;
+        res.clearCookie('refreshToken', options);
+    }
+
+    issueServiceToken(serviceName, additionalPayload = {}) {
+        const secret = this.getTokenSecret('service');
+        if (!secret) {
+            throw new Error('JWT_SERVICE secret not configured');
+        }
+        if (!serviceName) throw new Error('serviceName is required for service token generation');
+        
+        const payload = { 
+            service: serviceName, 
+            type: 'service',
+            iat: Math.floor(Date.now() / 1000),
+            ...additionalPayload 
+        };
+        
+        return this.signToken(payload, secret, this.config.JWT_EXPIRATION);
+    }
+
+    // ===== AUTH MIDDLEWARE =====
+
+    authFailure(res, reason, error, status) {
+        this.metrics?.inc('auth_failures_total', { reason });
+        return this.sendError(res, error, status);
+    }
+
+    auth = async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        
+        if (!authHeader?.startsWith('Bearer ')) {
+            return this.authFailure(res, 'missing_token', { message: 'Missing or invalid Authorization header' }, 401);
+        }
+        
+        const accessToken = authHeader.split(' ')[1];
+        if (!accessToken) {
+            return this.authFailure(res, 'missing_token', { message: 'Access token not provided' }, 401);
+        }
+
+        // 1. Проверяем service token (если настроен)
+        const serviceSecret = this.getTokenSecret('service');
+        if (serviceSecret) {
+            const serviceDecoded = this.verifyToken(accessToken, serviceSecret);
+            if (serviceDecoded?.service && serviceDecoded?.type === 'service') {
+                req.service = { 
+                    name: serviceDecoded.service,
+                    payload: serviceDecoded
+                };
+                return next();
+            }
+        }
+
+        // 2. Проверяем user access token (свой или внешнего issuer)
+        const user = await this.authenticateUserToken(accessToken);
+        if (user) {
+            req.user = user;
+            return next();
+        }
+
+        // 3. Если access token невалиден, пробуем refresh token.
+        // При upgrade новые токены не дойдут до клиента, ротация только сожгла бы refresh token
+        const refreshToken = req.webSocketUpgrade ? null : req.cookies?.refreshToken;
+        if (!refreshToken) {
+            return this.authFailure(res, 'invalid_token', { message: 'Access token expired and no refresh token provided' }, 401);
+        }
+
+        // Выпускаем новый access token и ротируем refresh token
+        let rotated;
+        try {
+            rotated = await this.rotateRefreshToken(refreshToken);
+        } catch (error) {
+            if (error.status === 401) {
+                this.clearRefreshCookie(res);
+                const reason = error.code === 'REFRESH_TOKEN_REUSED' ? 'refresh_token_reused' : 'invalid_refresh_token';
+                return this.authFailure(res, reason, { message: error.message, ...(error.code && { code: error.code }) }, 401);
+            }
+            (req.log || this.log).error({ err: error }, 'Error generating new access token');
+            return this.authFailure(res, 'refresh_error', { message: 'Failed to refresh access token' }, 500);
+        }
+
+        res.setHeader('X-New-Access-Token', rotated.accessToken);
+        if (rotated.refreshToken) {
+            this.setRefreshCookie(res, rotated.refreshToken);
+        }
+
+        req.user = { 
+            user_id: rotated.payload.user_id,
+            payload: rotated.payload,
+            tokenRefreshed: true
+        };
+        
+        next();
+    };
+
+    authUserOnly = async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader?.startsWith('Bearer ')) {
+            return this.authFailure(res, 'missing_token', { message: 'User token required' }, 401);
+        }
+
+        const token = authHeader.split(' ')[1];
+        const user = await this.authenticateUserToken(token);
+        
+        if (!user) {
+            return this.authFailure(res, 'invalid_token', { message: 'Invalid or expired user token' }, 401);
+        }
+
+        req.user = user;
+        next();
+    };
+
+    authServiceOnly = (req, res, next) => {
+        if (!this.getTokenSecret('service')) {
+            return this.authFailure(res, 'not_configured', { message: 'Service authentication not configured' }, 500);
+        }
+
+        const authHeader = req.headers.authorization;
+        if (!authHeader?.startsWith('Bearer ')) {
+            return this.authFailure(res, 'missing_token', { message: 'Service token required' }, 401);
+        }
+
+        const token = authHeader.split(' ')[1];
+        const decoded = this.verifyToken(token, this.getTokenSecret('service'));
+        
+        if (!decoded?.service || decoded?.type !== 'service') {
+            return this.authFailure(res, 'invalid_service_token', { message: 'Invalid service token' }, 403);
+        }
+
+        req.service = { 
+            name: decoded.service,
+            payload: decoded
+        };
+        next();
+    };
+
+    // ===== AUTHORIZATION =====
+
+    // Роли берутся из payload.role / payload.roles, scopes - из payload.scope (строка через пробел) / payload.scopes
+    getTokenRoles(payload) {
+        return [].concat(payload?.roles || [], payload?.role || []);
+    }
+
+    getTokenScopes(payload) {
+        const scopes = payload?.scopes || payload?.scope || [];
+        return Array.isArray(scopes) ? scopes : String(scopes).split(' ').filter(Boolean);
+    }
+
+    // Достаточно одной из ролей
+    requireRoles = (...roles) => {
+        const required = roles.flat();
+        return (req, res, next) => {
+            const payload = req.user?.payload || req.service?.payload;
+            if (!payload) {
+                return this.authFailure(res, 'unauthenticated', { message: 'Authentication required', code: 'UNAUTHENTICATED' }, 401);
+            }
+
+            const tokenRoles = this.getTokenRoles(payload);
+            if (!required.some(role => tokenRoles.includes(role))) {
+                return this.authFailure(res, 'insufficient_role', {
+                    message: 'Insufficient permissions',
+                    code: 'INSUFFICIENT_ROLE',
+                    required: { roles: required }
+                }, 403);
+            }
+            next();
+        };
+    };
+
+    // Нужны все перечисленные scopes
+    requireScopes = (...scopes) => {
+        const required = scopes.flat();
+        return (req, res, next) => {
+            const payload = req.user?.payload || req.service?.payload;
+            if (!payload) {
+                return this.authFailure(res, 'unauthenticated', { message: 'Authentication required', code: 'UNAUTHENTICATED' }, 401);
+            }
+
+            const tokenScopes = this.getTokenScopes(payload);
+            if (!required.every(scope => tokenScopes.includes(scope))) {
+                return this.authFailure(res, 'insufficient_scope', {
+                    message: 'Insufficient permissions',
+                    code: 'INSUFFICIENT_SCOPE',
+                    required: { scopes: required }
+                }, 403);
+            }
+            next();
+        };
+    };
+
+    // auth: true | 'auth' | 'user' | 'service' | { type, roles, scopes }
+    normalizeRouteAuth(auth, path) {
+        if (!auth) return null;
+
+        const options = typeof auth === 'object' ? auth : { type: auth === true ? 'auth' : auth };
+        const type = options.type || 'auth';
+
+        if (!['auth', 'user', 'service'].includes(type)) {
+            throw new Error(`Invalid auth type "${type}" for route: ${path}`);
+        }
+
+        return {
+            type,
+            roles: [].concat(options.roles || []),
+            scopes: [].concat(options.scopes || [])
+        };
+    }
+
+    createAuthMiddlewares(auth, middlewares) {
+        if (!auth) return { before: [], after: [] };
+
+        const strategies = { auth: this.auth, user: this.authUserOnly, service: this.authServiceOnly };
+        const builtin = [this.auth, this.authUserOnly, this.authServiceOnly];
+        const hasAuthMiddleware = middlewares.some(middleware => builtin.includes(middleware));
+
+        return {
+            before: hasAuthMiddleware ? [] : [strategies[auth.type]],
+            after: [
+                ...(auth.roles.length > 0 ? [this.requireRoles(auth.roles)] : []),
+                ...(auth.scopes.length > 0 ? [this.requireScopes(auth.scopes)] : [])
+            ]
+        };
+    }
+
+    // ===== RATE LIMIT =====
+
+    // key: 'ip' | 'user' | 'service' | (req) => string
+    getRateLimitKey(req, key) {
+        if (typeof key === 'function') return key(req);
+        if (key === 'user' && req.user?.user_id) return `user:${req.user.user_id}`;
+        if (key === 'service' && req.service?.name) return `service:${req.service.name}`;
+        return `ip:${req.ip}`;
+    }
+
+    rateLimit = (options = {}, scope = 'global') => {
+        const { windowMs = 60 * 1000, max = 100, key = 'ip' } = options;
+
+        return async (req, res, next) => {
+            try {
+                const counterKey = `${scope}:${this.getRateLimitKey(req, key)}`;
+                const { count, resetTime } = await this.rateLimitStore.increment(counterKey, windowMs);
+                const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+                res.setHeader('RateLimit-Limit', max);
+                res.setHeader('RateLimit-Remaining', Math.max(0, max - count));
+                res.setHeader('RateLimit-Reset', resetSeconds);
+
+                if (count > max) {
+                    res.setHeader('Retry-After', resetSeconds);
+                    return this.sendError(res, {
+                        message: 'Too many requests',
+                        code: 'RATE_LIMITED',
+                        retryAfter: resetSeconds
+                    }, 429);
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    };
+
+    // Настройки маршрута дополняют глобальные, false отключает лимит
+    getRouteRateLimit(config) {
+        if (config.rateLimit === false) return null;
+        if (!config.rateLimit && !this.config.rateLimit) return null;
+        return { ...this.config.rateLimit, ...config.rateLimit };
+    }
+
+    // ===== SERVER MIDDLEWARE =====
+
+    // Request ID, логгер запроса и access log
+    requestLogger = (req, res, next) => {
+        const header = this.config.requestIdHeader;
+        const incoming = req.headers[header.toLowerCase()];
+
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : generateId();
+        req.log = this.log.child({ requestId: req.id });
+        res.setHeader(header, req.id);
+
+        const startTime = process.hrtime.bigint();
+        res.on('finish', () => {
+            const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+            req.log.info({
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                duration: Math.round(duration * 100) / 100,
+                user_id: req.user?.user_id,
+                service: req.service?.name,
+                ip: req.ip
+            }, 'Request completed');
+        });
+
+        next();
+    };
+
+    securityMiddleware = (req, res, next) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-XSS-Protection', '1; mode=block');
+        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+        next();
+    };
+
+    // origin: '*' | true | string | RegExp | Array<string|RegExp> | (origin, req) => boolean|string
+    async resolveCorsOrigin(allowed, requestOrigin, req) {
+        if (allowed === '*') return '*';
+        if (!requestOrigin || !allowed) return null;
+
+        // true - явное разрешение отражать любой origin запроса
+        if (allowed === true) return requestOrigin;
+
+        if (typeof allowed === 'function') {
+            const result = await allowed(requestOrigin, req);
+            if (typeof result === 'string') return result;
+            return result ? requestOrigin : null;
+        }
+
+        const matches = [].concat(allowed).some(item =>
+            item instanceof RegExp ? item.test(requestOrigin) : item === requestOrigin
+        );
+        return matches ? requestOrigin : null;
+    }
+
+    corsMiddleware = (options = {}) => {
+        const {
+            origin = '*',
+            methods = 'GET,HEAD,PUT,PATCH,POST,DELETE',
+            allowedHeaders = 'Content-Type,Authorization',
+            exposedHeaders = CORS_EXPOSED_HEADERS,
+            credentials = false,
+            maxAge = null,
+            preflightContinue = false
+        } = options;
+
+        // Отражение любого origin с credentials открывает токены всем сайтам - только явно через origin: true
+        if (origin === '*' && credentials) {
+            throw new Error('CORS origin \'*\' cannot be used with credentials: true, use origin: true to allow any origin');
+        }
+
+        const list = value => [].concat(value).join(',');
+
+        return async (req, res, next) => {
+            try {
+                // Маршрутные настройки перекрывают глобальные - начинаем с чистых заголовков
+                CORS_HEADERS.forEach(header => res.removeHeader(header));
+
+                const allowOrigin = await this.resolveCorsOrigin(origin, req.headers.origin, req);
+                if (origin !== '*') {
+                    res.vary('Origin');
+                }
+
+                if (allowOrigin) {
+                    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+                    if (credentials) {
+                        res.setHeader('Access-Control-Allow-Credentials', 'true');
+                    }
+                }
+
+                const isPreflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'];
+
+                if (!isPreflight) {
+                    if (allowOrigin && exposedHeaders?.length) {
+                        res.setHeader('Access-Control-Expose-Headers', list(exposedHeaders));
+                    }
+                    return next();
+                }
+
+                if (allowOrigin) {
+                    res.setHeader('Access-Control-Allow-Methods', list(methods));
+                    // Без явного списка разрешаем заголовки, запрошенные браузером
+                    const headers = allowedHeaders || req.headers['access-control-request-headers'];
+                    if (headers) {
+                        res.setHeader('Access-Control-Allow-Headers', list(headers));
+                    }
+                    if (maxAge !== null) {
+                        res.setHeader('Access-Control-Max-Age', String(maxAge));
+                    }
+                }
+
+                if (preflightContinue) {
+                    return next();
+                }
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        };
+    };
+
+    getCorsOptions() {
+        return typeof this.config.cors === 'object' ? this.config.cors : {};
+    }
+
+    // cors: false отключает CORS для маршрута, объект дополняет глобальные настройки
+    createRouteCors(config, fullPath) {
+        if (config.cors === undefined) return [];
+
+        const options = config.cors === false
+            ? { origin: false }
+            : { ...this.getCorsOptions(), ...config.cors };
+
+        // Preflight маршрута обрабатывается до общего ответа на OPTIONS
+        this.app.options(fullPath, this.corsMiddleware(options));
+
+        return [this.corsMiddleware({ ...options, preflightContinue: true })];
+    }
+
+    // Завершает preflight запросы, не перехваченные маршрутами
+    preflightHandler = (req, res, next) => {
+        if (req.headers['access-control-request-method']) {
+            return res.status(204).end();
+        }
+        next();
+    };
+
+    reportError(err, req, details) {
+        const { errorReporter } = this.config;
+        if (!errorReporter) return;
+
+        // Трекер не должен влиять на ответ клиенту
+        Promise.resolve()
+            .then(() => errorReporter(err, req, details))
+            .catch(error => (req.log || this.log).error({ err: error }, 'Error reporter failed'));
+    }
+
+    errorHandler = (err, req, res, next) => {
+        if (res.headersSent) {
+            return next(err);
+        }
+
+        const status = err.status || 500;
+        if (err.headers && typeof err.headers === 'object') {
+            res.set(err.headers);
+        }
+
+        if (status < 500) {
+            return this.sendError(res, err, status);
+        }
+
+        // errorId связывает ответ клиенту с записью в логе и трекере
+        const errorId = generateId();
+        (req.log || this.log).error({ err, errorId, method: req.method, path: req.path }, 'Request failed');
+        this.reportError(err, req, { errorId, status });
+
+        if (this.config.debugErrors) {
+            return this.sendError(res, err, status, { errorId, stack: (err.stack || '').split('\n').map(line => line.trim()) });
+        }
+
+        // Текст 5xx ошибки (SQL, пути, ответы сервисов) клиенту не показывается
+        if (err.expose !== true) {
+            return this.sendError(res, { message: http.STATUS_CODES[status] || 'Internal Server Error' }, status, { errorId });
+        }
+
+        this.sendError(res, err, status, { errorId });
+    };
+
+    notFoundHandler = (req, res) => {
+        this.sendError(res, { 
+            message: "Route not found", 
+            extra: { path: req.path, method: req.method } 
+        }, 404);
+    };
+
+    // ===== HEALTH CHECK =====
+
+    createHealthCheckEndpoint() {
+        if (!this.config.healthCheck) return;
+
+        const healthPath = this.config.healthCheckPath;
+        
+        this.log.info({ method: 'GET', path: healthPath }, 'Health check endpoint registered');
+
+        this.app.get(healthPath, async (req, res, next) => {
+            const uptime = this.startTime ? Date.now() - this.startTime : 0;
+            const report = this.healthChecks.size > 0 ? await this.runHealthChecks() : null;
+            
+            let healthData;
+            try {
+                healthData = {
+                    status: 'healthy',
+                    timestamp: new Date().toISOString(),
+                    uptime: `${Math.floor(uptime / 1000)}s`,
+                    version: require('./package.json').version || 'unknown',
+                    service: 'fast-node-rest',
+                    ...(this.config.healthCheckData && typeof this.config.healthCheckData === 'object' 
+                        ? this.config.healthCheckData 
+                        : {}),
+                    ...(typeof this.config.healthCheckData === 'function' 
+                        ? this.config.healthCheckData(req) 
+                        : {}),
+                    ...(report && { checks: report.checks })
+                };
+            } catch (error) {
+                return next(error);
+            }
+
+            if (report && !report.healthy) {
+                healthData.status = 'unhealthy';
+                return this.sendSuccess(res, healthData, 503);
+            }
+            this.sendSuccess(res, healthData);
+        });
+    }
+
+    // check - async функция: бросает ошибку или возвращает false при сбое, объект - детали проверки
+    addHealthCheck(name, check, { timeout = 5000 } = {}) {
+        if (typeof check !== 'function') {
+            throw new Error(`Health check must be a function: ${name}`);
+        }
+        this.healthChecks.set(name, { check, timeout });
+        return this;
+    }
+
+    async runHealthCheck(name, { check, timeout }) {
+        const startTime = Date.now();
+        let timer;
+
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => check()),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+                })
+            ]);
+
+            if (result === false) {
+                throw new Error('Health check failed');
+            }
+
+            return {
+                status: 'pass',
+                duration: Date.now() - startTime,
+                ...(result && typeof result === 'object' && { details: result })
+            };
+        } catch (error) {
+            this.log.warn({ err: error, check: name }, 'Health check failed');
+            return { status: 'fail', duration: Date.now() - startTime, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async runHealthChecks() {
+        const entries = await Promise.all(Array.from(this.healthChecks.entries()).map(
+            async ([name, options]) => [name, await this.runHealthCheck(name, options)]
+        ));
+        const checks = Object.fromEntries(entries);
+
+        return {
+            healthy: entries.every(([, result]) => result.status === 'pass'),
+            checks
+        };
+    }
+
+    // Путь, занятый пользовательским маршрутом, остаётся за маршрутом
+    isProbePathFree(path, name) {
+        const taken = this.routeTable.some(route => route.path === path && ['get', 'ws'].includes(route.method));
+        if (taken) {
+            this.log.warn({ path }, `${name} probe skipped: path is already used by a route`);
+        }
+        return !taken;
+    }
+
+    createProbeEndpoints() {
+        const { livenessPath, readinessPath } = this.config;
+
+        // Liveness не зависит от внешних систем: процесс отвечает - значит жив
+        if (livenessPath && this.isProbePathFree(livenessPath, 'Liveness')) {
+            this.log.info({ method: 'GET', path: livenessPath }, 'Liveness probe registered');
+
+            this.app.get(livenessPath, (req, res) => {
+                const uptime = this.startTime ? Date.now() - this.startTime : 0;
+                this.sendSuccess(res, { status: 'alive', uptime: `${Math.floor(uptime / 1000)}s` });
+            });
+        }
+
+        if (readinessPath && this.isProbePathFree(readinessPath, 'Readiness')) {
+            this.log.info({ method: 'GET', path: readinessPath }, 'Readiness probe registered');
+
+            this.app.get(readinessPath, async (req, res) => {
+                if (this.shuttingDown) {
+                    return this.sendSuccess(res, { status: 'shutting_down' }, 503);
+                }
+
+                const { healthy, checks } = await this.runHealthChecks();
+                this.sendSuccess(res, { status: healthy ? 'ready' : 'not_ready', checks }, healthy ? 200 : 503);
+            });
+        }
+    }
+
+    // ===== OPENAPI =====
+
+    buildOpenAPIDocument() {
+        const options = typeof this.config.openapi === 'object' ? this.config.openapi : {};
+        const securitySchemes = {};
+        const paths = {};
+
+        this.routeTable.forEach(({ method, path, config }) => {
+            // OpenAPI не описывает WebSocket
+            if (method === 'ws') return;
+
+            const { schema = {}, response, summary, description, tags, operationId, deprecated } = config;
+            const openapiPath = path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+            const parameters = [];
+
+            (path.match(/:([A-Za-z0-9_]+)/g) || []).forEach(param => {
+                const name = param.slice(1);
+                parameters.push({
+                    name,
+                    in: 'path',
+                    required: true,
+                    schema: schema.params?.properties?.[name] || { type: 'string' }
+                });
+            });
+
+            [['query', 'query'], ['headers', 'header']].forEach(([location, parameterIn]) => {
+                const properties = schema[location]?.properties || {};
+                const required = schema[location]?.required || [];
+                Object.entries(properties).forEach(([name, propertySchema]) => {
+                    parameters.push({ name, in: parameterIn, required: required.includes(name), schema: propertySchema });
+                });
+            });
+
+            const operation = {};
+            if (summary) operation.summary = summary;
+            if (description) operation.description = description;
+            if (tags) operation.tags = [].concat(tags);
+            if (operationId) operation.operationId = operationId;
+            if (deprecated) operation.deprecated = true;
+            if (parameters.length > 0) operation.parameters = parameters;
+
+            if (config.upload) {
+                const { fields } = this.getUploadOptions(config.upload);
+                const binary = { type: 'string', format: 'binary' };
+                const fileProperties = Object.fromEntries((fields || []).map(field => [
+                    typeof field === 'string' ? field : field.name,
+                    field.maxCount === 1 ? binary : { type: 'array', items: binary }
+                ]));
+
+                operation.requestBody = {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                properties: { ...(schema.body?.properties || {}), ...fileProperties },
+                                ...(schema.body?.required && { required: schema.body.required }),
+                                ...(!fields && { additionalProperties: binary })
+                            }
+                        }
+                    }
+                };
+            } else if (schema.body) {
+                operation.requestBody = {
+                    required: (schema.body.required || []).length > 0,
+                    content: { 'application/json': { schema: schema.body } }
+                };
+            }
+
+            operation.responses = {};
+            Object.entries(response || { 200: null }).forEach(([status, responseSchema]) => {
+                operation.responses[/^\dxx$/i.test(status) ? status.toUpperCase() : status] = {
+                    description: 'Successful response',
+                    ...(responseSchema && { content: { 'application/json': { schema: responseSchema } } })
+                };
+            });
+            if (config.schema) {
+                operation.responses['400'] = this.openAPIErrorResponse('Validation failed');
+            }
+            if (this.getRouteRateLimit(config)) {
+                operation.responses['429'] = this.openAPIErrorResponse('Too many requests');
+            }
+
+            const security = this.getRouteSecurity(config);
+            if (security.length > 0) {
+                security.forEach(name => {
+                    securitySchemes[name] = { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' };
+                });
+                // OpenAPI 3.1 допускает список ролей/scopes для любых схем
+                const auth = this.normalizeRouteAuth(config.auth);
+                const requirements = auth ? [...auth.roles, ...auth.scopes] : [];
+
+                operation.security = security.map(name => ({ [name]: requirements }));
+                operation.responses['401'] = this.openAPIErrorResponse('Unauthorized');
+                if (requirements.length > 0) {
+                    operation.responses['403'] = this.openAPIErrorResponse('Forbidden');
+                }
+            }
+
+            paths[openapiPath] = { ...paths[openapiPath], [method]: operation };
+        });
+
+        return {
+            openapi: '3.1.0',
+            info: {
+                title: 'fast-node-rest',
+                version: require('./package.json').version || 'unknown',
+                ...options.info
+            },
+            ...(options.servers && { servers: options.servers }),
+            paths,
+            components: {
+                schemas: {
+                    Error: this.config.errorFormat === 'problem' ? {
+                        type: 'object',
+                        required: ['type', 'title', 'status'],
+                        properties: {
+                            type: { type: 'string', format: 'uri-reference' },
+                            title: { type: 'string' },
+                            status: { type: 'integer' },
+                            detail: { type: 'string' },
+                            instance: { type: 'string' }
+                        },
+                        additionalProperties: true
+                    } : {
+                        type: 'object',
+                        required: ['error'],
+                        properties: {
+                            error: {
+                                type: 'object',
+                                required: ['message'],
+                                properties: { message: { type: 'string' } },
+                                additionalProperties: true
+                            }
+                        }
+                    }
+                },
+                ...(Object.keys(securitySchemes).length > 0 && { securitySchemes })
+            }
+        };
+    }
+
+    openAPIErrorResponse(description) {
+        const type = this.config.errorFormat === 'problem' ? 'application/problem+json' : 'application/json';
+        return {
+            description,
+            content: { [type]: { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+    }
+
+    // Определяем схему аутентификации по встроенным middleware маршрута
+    getRouteSecurity(config) {
+        const middlewares = config.middlewares || [];
+        const authType = this.normalizeRouteAuth(config.auth)?.type;
+        const security = [];
+
+        const uses = (middleware, type) => middlewares.includes(middleware) || authType === type;
+
+        if (uses(this.auth, 'auth') || uses(this.authUserOnly, 'user')) {
+            security.push('bearerAuth');
+        }
+        if (uses(this.auth, 'auth') || uses(this.authServiceOnly, 'service')) {
+            security.push('serviceAuth');
+        }
+        return security;
+    }
+
+    createOpenAPIEndpoint() {
+        if (!this.config.openapi) return;
+
+        const openapiPath = this.config.openapi.path || '/openapi.json';
+        const document = this.buildOpenAPIDocument();
+
+        this.log.info({ method: 'GET', path: openapiPath }, 'OpenAPI endpoint registered');
+
+        this.app.get(openapiPath, (req, res) => {
+            this.sendSuccess(res, document);
+        });
+    }
+
+    // ===== VALIDATION =====
+
+    // Поддерживаемое подмножество JSON Schema: type, enum, const, required, properties,
+    // additionalProperties, items, min/max(Length|Items|imum), exclusiveMin/Max, pattern, format
+    validateSchema(schema, value, field = '', errors = []) {
+        if (!schema || typeof schema !== 'object' || value === undefined) return errors;
+
+        const types = schema.type ? [].concat(schema.type) : null;
+        if (types && !types.some(type => this.matchesSchemaType(type, value))) {
+            errors.push({ field, message: `must be ${types.join(' or ')}` });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+        }
+        if ('const' in schema && value !== schema.const) {
+            errors.push({ field, message: `must be equal to ${JSON.stringify(schema.const)}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ field, message: `must match pattern ${schema.pattern}` });
+            }
+            const format = SCHEMA_FORMATS[schema.format];
+            if (format && !format.test(value)) {
+                errors.push({ field, message: `must be a valid ${schema.format}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ field, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ field, message: `must be <= ${schema.maximum}` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push({ field, message: `must be < ${schema.exclusiveMaximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ field, message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    this.validateSchema(schema.items, item, `${field}[${index}]`, errors);
+                });
+            }
+        } else if (value && typeof value === 'object') {
+            const properties = schema.properties || {};
+            const childField = (key) => field ? `${field}.${key}` : key;
+
+            (schema.required || []).forEach(key => {
+                if (!hasOwn(value, key) || value[key] === undefined) {
+                    errors.push({ field: childField(key), message: 'is required' });
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                if (hasOwn(properties, key)) {
+                    this.validateSchema(properties[key], value[key], childField(key), errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: childField(key), message: 'is not allowed' });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validateSchema(schema.additionalProperties, value[key], childField(key), errors);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    matchesSchemaType(type, value) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return true;
+        }
+    }
+
+    // Query, params и headers приходят строками - приводим их к типам из схемы
+    coerceSchemaValue(schema, value) {
+        if (!schema?.type) return value;
+
+        const types = [].concat(schema.type);
+        if (Array.isArray(value) && types.includes('array')) {
+            return value.map(item => this.coerceSchemaValue(schema.items, item));
+        }
+        if (typeof value !== 'string' || types.includes('string')) return value;
+        if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(value)) {
+            return Number(value);
+        }
+        if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        if (types.includes('array')) {
+            return [value].map(item => this.coerceSchemaValue(schema.items, item));
+        }
+        return value;
+    }
+
+    createValidationMiddleware(schema, path) {
+        Object.keys(schema).forEach(location => {
+            if (!SCHEMA_LOCATIONS.includes(location)) {
+                throw new Error(`Invalid schema location "${location}" for route: ${path}`);
+            }
+        });
+
+        // Заголовки в Node.js всегда в нижнем регистре
+        const schemas = { ...schema };
+        if (schemas.headers?.properties) {
+            schemas.headers = {
+                ...schemas.headers,
+                properties: Object.fromEntries(Object.entries(schemas.headers.properties)
+                    .map(([key, value]) => [key.toLowerCase(), value])),
+                required: (schemas.headers.required || []).map(key => key.toLowerCase())
+            };
+        }
+
+        return (req, res, next) => {
+            const errors = [];
+
+            SCHEMA_LOCATIONS.forEach(location => {
+                const locationSchema = schemas[location];
+                if (!locationSchema) return;
+
+                let value = req[location];
+                if (location !== 'body' && value && locationSchema.properties) {
+                    value = { ...value };
+                    Object.entries(locationSchema.properties).forEach(([key, propertySchema]) => {
+                        value[key] = this.coerceSchemaValue(propertySchema, value[key]);
+                    });
+                    if (location !== 'headers') {
+                        req[location] = value;
+                    }
+                }
+
+                this.validateSchema(locationSchema, value, '', [])
+                    .forEach(error => errors.push({ location, ...error }));
+            });
+
+            if (errors.length > 0) {
+                return this.sendError(res, { message: 'Validation failed', errors }, 400);
+            }
+            next();
+        };
+    }
+
+    // Оставляет в ответе только объявленные в схеме поля
+    serializeBySchema(schema, value) {
+        if (!schema || value === null || typeof value !== 'object') return value;
+
+        if (typeof value.toJSON === 'function') {
+            return this.serializeBySchema(schema, value.toJSON());
+        }
+
+        if (Array.isArray(value)) {
+            return schema.items ? value.map(item => this.serializeBySchema(schema.items, item)) : value;
+        }
+
+        if (!schema.properties) return value;
+
+        const output = {};
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+
+            if (hasOwn(schema.properties, key)) {
+                output[key] = this.serializeBySchema(schema.properties[key], value[key]);
+            } else if (schema.additionalProperties === true) {
+                output[key] = value[key];
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                output[key] = this.serializeBySchema(schema.additionalProperties, value[key]);
+            }
+        });
+        return output;
+    }
+
+    getResponseSchema(response, status) {
+        const key = [status, `${Math.floor(status / 100)}xx`, 'default'].find(candidate => hasOwn(response, candidate));
+        return key === undefined ? null : response[key];
+    }
+
+    serializeResponse(response, status, result, path) {
+        const schema = this.getResponseSchema(response, status);
+        if (!schema) return result;
+
+        const output = this.serializeBySchema(schema, result);
+
+        if (this.config.devMode) {
+            const errors = this.validateSchema(schema, output);
+            if (errors.length > 0) {
+                throw new httpErrors.InternalServerError(`Response does not match schema for ${path} (status ${status})`, {
+                    errors
+                });
+            }
+        }
+
+        return output;
+    }
+
+    // ===== RESPONSE CACHE =====
+
+    // cache: true | { ttl, key, vary, tags }
+    getCacheOptions(cache) {
+        const {
+            ttl = 60000,
+            // (req) => string, по умолчанию - URL с query
+            key = null,
+            // Заголовки запроса, от которых зависит ответ
+            vary = [],
+            // ['posts'] или (req) => ['posts', `post:${req.params.id}`]
+            tags = []
+        } = cache === true ? {} : cache;
+        return { ttl, key, vary: vary.map(header => header.toLowerCase()), tags };
+    }
+
+    getCacheKey(req, { key, vary }) {
+        const parts = [key ? key(req) : req.originalUrl];
+
+        // Без своего key ответы разных пользователей не должны пересекаться
+        if (!key && (req.user || req.service)) {
+            parts.push(req.user ? `user:${req.user.user_id}` : `service:${req.service.name}`);
+        }
+
+        // Формат ответа выбирается по Accept, поэтому он всегда часть ключа
+        ['accept', ...vary].forEach(header => parts.push(`${header}=${req.headers[header] || ''}`));
+        return parts.join('|');
+    }
+
+    setCacheHeaders(res, entry, vary) {
+        res.set({ ETag: entry.etag, 'Last-Modified': entry.lastModified });
+        if (vary.length > 0) {
+            res.vary(vary);
+        }
+    }
+
+    // Ответ из кэша; Express сам отвечает 304 по If-None-Match / If-Modified-Since
+    createCacheMiddleware(options) {
+        return async (req, res, next) => {
+            try {
+                const key = this.getCacheKey(req, options);
+                const entry = await this.cacheStore.get(key);
+
+                if (!entry) {
+                    req.cacheKey = key;
+                    res.setHeader('X-Cache', 'MISS');
+                    return next();
+                }
+
+                res.setHeader('X-Cache', 'HIT');
+                this.setCacheHeaders(res, entry, options.vary);
+                if (entry.varyAccept) {
+                    res.vary('Accept');
+                }
+                res.status(entry.status).type(entry.type).send(entry.body);
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // Сохраняет отрендеренный ответ 200 и отправляет его с ETag / Last-Modified
+    async sendCachedReply(req, res, options, data = {}, status = 200) {
+        const { type, body } = this.renderSuccess(res, data);
+
+        if (status === 200) {
+            const entry = {
+                status,
+                type,
+                body: Buffer.isBuffer(body) ? body : String(body),
+                etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+                lastModified: new Date().toUTCString(),
+                varyAccept: /\baccept\b/i.test(res.get('Vary') || '')
+            };
+            const tags = typeof options.tags === 'function' ? options.tags(req) : options.tags;
+
+            await this.cacheStore.set(req.cacheKey, entry, options.ttl, tags);
+            this.setCacheHeaders(res, entry, options.vary);
+        }
+
+        res.status(status).type(type).send(body);
+    }
+
+    // Сбрасывает закэшированные ответы с любым из тегов
+    async invalidateCache(tags) {
+        await this.cacheStore.invalidateTags([].concat(tags));
+    }
+
+    // ===== STREAMING =====
+
+    sse(source, options) {
+        return new ServerSentEvents(source, options);
+    }
+
+    // Поток байтов пробрасывается как есть, поток объектов (objectMode Readable, async iterator) - NDJSON
+    async sendStream(req, res, result) {
+        const log = req.log || this.log;
+
+        if (isReadableStream(result) && !result.readableObjectMode) {
+            if (!res.get('Content-Type')) {
+                res.type('application/octet-stream');
+            }
+            // pipeline уничтожает источник при отключении клиента
+            pipeline(result, res, (error) => {
+                if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    log.error({ err: error }, 'Response stream failed');
+                }
+            });
+            return;
+        }
+
+        const iterator = result[Symbol.asyncIterator]();
+        let closed = false;
+        res.once('close', () => {
+            closed = true;
+            // Прерываем генератор, если клиент ушёл
+            Promise.resolve(iterator.return?.()).catch(() => {});
+        });
+
+        // Формат определяется по первому элементу: Buffer (Readable.from(buffers)) - байты, иначе NDJSON
+        let raw = null;
+
+        try {
+            while (!closed) {
+                const { value, done } = await iterator.next();
+                if (done || closed) break;
+
+                if (raw === null) {
+                    raw = value instanceof Uint8Array;
+                    if (!raw) {
+                        res.type('application/x-ndjson');
+                    } else if (!res.get('Content-Type')) {
+                        res.type('application/octet-stream');
+                    }
+                }
+
+                if (!res.write(raw ? value : `${JSON.stringify(value)}\n`)) {
+                    await new Promise(resolve => {
+                        res.once('drain', resolve);
+                        res.once('close', resolve);
+                    });
+                }
+            }
+            if (raw === null && !res.get('Content-Type')) {
+                res.type('application/x-ndjson');
+            }
+            res.end();
+        } catch (error) {
+            // До первого элемента ошибка обрабатывается как обычно
+            if (!res.headersSent) throw error;
+            // Заголовки уже отправлены - обрываем соединение, чтобы клиент увидел неполный ответ
+            log.error({ err: error }, 'Response stream failed');
+            res.destroy(error);
+        }
+    }
+
+    sendEventStream(req, res, { source, heartbeat, retry }) {
+        const log = req.log || this.log;
+        const closeHandlers = [];
+        let closed = false;
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // nginx не должен буферизовать поток
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const stream = {
+            lastEventId: req.headers['last-event-id'] || null,
+            get closed() {
+                return closed;
+            },
+            send(data, { event, id } = {}) {
+                if (!closed) res.write(formatEvent({ data, event, id }));
+            },
+            comment(text = '') {
+                if (!closed) res.write(`: ${formatEventField(text)}\n\n`);
+            },
+            onClose(handler) {
+                closeHandlers.push(handler);
+            },
+            close() {
+                if (!closed) res.end();
+            }
+        };
+
+        if (retry) {
+            res.write(`retry: ${retry}\n\n`);
+        }
+
+        const timer = heartbeat > 0 ? setInterval(() => stream.comment('heartbeat'), heartbeat) : null;
+
+        this.eventStreams.add(stream);
+        res.once('close', () => {
+            closed = true;
+            clearInterval(timer);
+            this.eventStreams.delete(stream);
+            closeHandlers.forEach(handler => {
+                try {
+                    handler();
+                } catch (error) {
+                    log.error({ err: error }, 'SSE close handler failed');
+                }
+            });
+        });
+
+        const run = async () => {
+            if (typeof source === 'function') {
+                await source(stream);
+                return;
+            }
+
+            const iterator = source[Symbol.asyncIterator]();
+            stream.onClose(() => Promise.resolve(iterator.return?.()).catch(() => {}));
+            while (!closed) {
+                const { value, done } = await iterator.next();
+                if (done || closed) break;
+                const event = value && typeof value === 'object' && 'data' in value ? value : { data: value };
+                stream.send(event.data, event);
+            }
+            stream.close();
+        };
+
+        run().catch((error) => {
+            log.error({ err: error }, 'SSE stream failed');
+            stream.close();
+        });
+    }
+
+    // ===== WEBSOCKET =====
+
+    // ws: true | { tokenQuery, maxPayload, pingInterval, json }
+    getWebSocketOptions(ws) {
+        const {
+            // Браузер не может передать заголовок Authorization - токен берётся из ?token=
+            tokenQuery = 'token',
+            maxPayload = 1024 * 1024,
+            pingInterval = 30000,
+            // Текстовые сообщения разбираются как JSON
+            json = false
+        } = typeof ws === 'object' ? ws : {};
+        return { tokenQuery, maxPayload, pingInterval, json };
+    }
+
+    createWebSocketTokenMiddleware(param) {
+        return (req, res, next) => {
+            const token = req.query[param];
+            if (typeof token === 'string' && token && !req.headers.authorization) {
+                req.headers.authorization = `Bearer ${token}`;
+            }
+            // Токен не должен попасть в access log
+            req.originalUrl = req.originalUrl.replace(new RegExp(`([?&]${param}=)[^&]*`), '$1[REDACTED]');
+            next();
+        };
+    }
+
+    // Upgrade запрос проходит через приложение Express как GET: auth, хуки, rate limit, валидация query
+    handleUpgrade(req, socket, head) {
+        if (!this.hasWebSocketRoutes || this.shuttingDown) {
+            socket.destroy();
+            return;
+        }
+
+        req.webSocketUpgrade = { socket, head };
+
+        // Ответ с ошибкой (401, 404) пишется прямо в сокет, после чего соединение закрывается
+        const res = new http.ServerResponse(req);
+        res.assignSocket(socket);
+        res.once('finish', () => socket.destroy());
+
+        this.app(req, res);
+    }
+
+    // Upgrade доходит до приложения, только если путь принадлежит WebSocket маршруту -
+    // иначе обычные GET маршруты и встроенные эндпоинты выполнились бы и написали ответ в сырой сокет
+    webSocketUpgradeGuard = (req, res, next) => {
+        if (!req.webSocketUpgrade) return next();
+
+        this.webSocketPaths(req, res, (error) => {
+            if (error) return next(error);
+            if (!req.webSocketUpgrade.matched) return this.notFoundHandler(req, res);
+            next();
+        });
+    };
+
+    createWebSocketHandler(handler, { maxPayload, pingInterval, json }) {
+        const server = new WebSocket.Server({ noServer: true, maxPayload });
+
+        return (req, res, next) => {
+            const { socket, head } = req.webSocketUpgrade;
+            // Во время stop() соединение не считается простаивающим
+            this.connections.set(socket, 1);
+
+            server.handleUpgrade(req, socket, head, (ws) => {
+                this.runWebSocketHandler(ws, handler, req, { pingInterval, json });
+            });
+        };
+    }
+
+    runWebSocketHandler(ws, handler, req, { pingInterval, json }) {
+        const log = req.log || this.log;
+        const messageHandlers = [];
+        const closeHandlers = [];
+        // Сообщения, пришедшие до onMessage (handler ещё инициализируется)
+        const pending = [];
+        let closeEvent = null;
+
+        const notifyClose = (closeHandler) => {
+            try {
+                closeHandler(closeEvent.code, closeEvent.reason);
+            } catch (error) {
+                log.error({ err: error }, 'WebSocket close handler failed');
+            }
+        };
+
+        const dispatch = async (message) => {
+            try {
+                for (const messageHandler of messageHandlers) {
+                    await messageHandler(message);
+                }
+            } catch (error) {
+                log.error({ err: error }, 'WebSocket message handler failed');
+                ws.close(1011, 'Internal error');
+            }
+        };
+
+        const connection = {
+            socket: ws,
+            user: req.user || null,
+            service: req.service || null,
+            get closed() {
+                return ws.readyState !== WebSocket.OPEN;
+            },
+            send(data) {
+                if (ws.readyState !== WebSocket.OPEN) return;
+                ws.send(typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data));
+            },
+            close(code = 1000, reason) {
+                ws.close(code, reason);
+            },
+            onMessage(messageHandler) {
+                messageHandlers.push(messageHandler);
+                pending.splice(0).forEach(dispatch);
+            },
+            onClose(closeHandler) {
+                // Соединение могло закрыться, пока handler инициализировался
+                if (closeEvent) {
+                    notifyClose(closeHandler);
+                } else {
+                    closeHandlers.push(closeHandler);
+                }
+            }
+        };
+
+        ws.on('message', (data, isBinary) => {
+            let message = isBinary ? data : data.toString();
+            if (json && !isBinary) {
+                try {
+                    message = JSON.parse(message);
+                } catch (error) {
+                    ws.close(1007, 'Invalid JSON');
+                    return;
+                }
+            }
+
+            if (messageHandlers.length === 0) {
+                pending.push(message);
+            } else {
+                dispatch(message);
+            }
+        });
+
+        // Ping/pong отсекает соединения, оборванные без close frame
+        let alive = true;
+        ws.on('pong', () => { alive = true; });
+        const timer = pingInterval > 0 ? setInterval(() => {
+            if (!alive) return ws.terminate();
+            alive = false;
+            ws.ping();
+        }, pingInterval) : null;
+
+        this.webSockets.add(ws);
+        this.metrics?.inc('websocket_connections');
+        log.info({ path: req.path, user_id: req.user?.user_id, service: req.service?.name }, 'WebSocket connected');
+
+        ws.on('error', error => log.warn({ err: error }, 'WebSocket error'));
+        ws.once('close', (code, reason) => {
+            clearInterval(timer);
+            this.webSockets.delete(ws);
+            this.metrics?.dec('websocket_connections');
+            log.info({ path: req.path, code }, 'WebSocket disconnected');
+            closeEvent = { code, reason: reason.toString() };
+            closeHandlers.forEach(notifyClose);
+        });
+
+        Promise.resolve()
+            .then(() => handler(connection, req, req.ctx))
+            .catch((error) => {
+                log.error({ err: error }, 'WebSocket handler failed');
+                ws.close(1011, 'Internal error');
+            });
+    }
+
+    // ===== BODY PARSERS =====
+
+    // bodyParser: 'text' | ['urlencoded', 'text'] | { raw: { type: 'application/pdf', limit: '50mb' } }
+    createBodyParsers(bodyParser, path) {
+        const entries = typeof bodyParser === 'object' && !Array.isArray(bodyParser)
+            ? Object.entries(bodyParser)
+            : [].concat(bodyParser).map(type => [type, {}]);
+
+        return entries
+            // JSON уже разобран глобальным express.json с лимитом jsonLimit
+            .filter(([type]) => type !== 'json')
+            .map(([type, options]) => {
+                if (!BODY_PARSERS[type]) {
+                    throw new Error(`Unknown body parser "${type}" for route: ${path}`);
+                }
+                return BODY_PARSERS[type]({ limit: this.config.jsonLimit, ...(options === true ? {} : options) });
+            });
+    }
+
+    // ===== UPLOADS =====
+
+    // upload: true | { fields, maxFileSize, maxFiles, allowedTypes, tmpDir }
+    getUploadOptions(upload) {
+        const {
+            // Имена полей с файлами: ['avatar'] или [{ name: 'photos', maxCount: 5 }], null - любые
+            fields = null,
+            maxFileSize = 10 * 1024 * 1024,
+            maxFiles = 10,
+            // Текстовые поля держатся в памяти - их число и размер тоже ограничены
+            maxFields = 100,
+            maxFieldSize = 64 * 1024,
+            maxParts = 1000,
+            allowedTypes = null,
+            tmpDir = os.tmpdir()
+        } = upload === true ? {} : upload;
+
+        const fieldLimits = fields && new Map(fields.map(field => (
+            typeof field === 'string' ? [field, Infinity] : [field.name, field.maxCount || Infinity]
+        )));
+
+        return { fields, fieldLimits, maxFileSize, maxFiles, maxFields, maxFieldSize, maxParts, allowedTypes, tmpDir };
+    }
+
+    removeUploadedFiles(files) {
+        files.forEach(file => fs.unlink(file.path, () => {}));
+    }
+
+    // Потоковый разбор multipart/form-data: файлы пишутся во временные файлы, поля - в req.body
+    createUploadMiddleware(upload) {
+        const {
+            fieldLimits, maxFileSize, maxFiles, maxFields, maxFieldSize, maxParts, allowedTypes, tmpDir
+        } = this.getUploadOptions(upload);
+        const limits = {
+            fileSize: maxFileSize,
+            files: maxFiles,
+            fields: maxFields,
+            fieldSize: maxFieldSize,
+            parts: maxParts
+        };
+
+        return (req, res, next) => {
+            if (!req.is('multipart/form-data')) {
+                return next(new httpErrors.UnsupportedMediaType('Expected multipart/form-data'));
+            }
+
+            let parser;
+            try {
+                parser = busboy({ headers: req.headers, limits });
+            } catch (error) {
+                return next(new httpErrors.BadRequest(error.message));
+            }
+
+            const body = {};
+            const files = [];
+            const outputs = [];
+            const writes = [];
+            const closes = [];
+            const counts = new Map();
+            let failed = false;
+
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                req.unpipe(parser);
+                req.resume();
+                outputs.forEach(output => output.destroy());
+                // Удаляем после закрытия: открытие файла асинхронное и может завершиться позже unlink
+                Promise.all(closes).then(() => this.removeUploadedFiles(files));
+                next(error);
+            };
+
+            parser.on('field', (name, value, { nameTruncated, valueTruncated }) => {
+                if (failed) return;
+                // busboy обрезает слишком длинные поля молча - обрезанное значение не должно дойти до handler
+                if (nameTruncated || valueTruncated) {
+                    return fail(new httpErrors.PayloadTooLarge(
+                        `Field ${name} exceeds the limit of ${maxFieldSize} bytes`,
+                        { field: name }
+                    ));
+                }
+
+                if (hasOwn(body, name)) {
+                    body[name] = [].concat(body[name], value);
+                } else {
+                    body[name] = value;
+                }
+            });
+
+            parser.on('file', (name, stream, { filename, encoding, mimeType }) => {
+                if (failed) return stream.resume();
+
+                const count = (counts.get(name) || 0) + 1;
+                counts.set(name, count);
+
+                let error = null;
+                if (fieldLimits && !fieldLimits.has(name)) {
+                    error = new httpErrors.BadRequest(`Unexpected file field: ${name}`, { field: name });
+                } else if (fieldLimits && count > fieldLimits.get(name)) {
+                    error = new httpErrors.PayloadTooLarge(`Too many files in field ${name}`, { field: name });
+                } else if (allowedTypes && !matchesMimeType(allowedTypes, mimeType)) {
+                    error = new httpErrors.UnsupportedMediaType(`File type ${mimeType} is not allowed`, { field: name });
+                }
+
+                if (error) {
+                    stream.resume();
+                    return fail(error);
+                }
+
+                const file = {
+                    fieldname: name,
+                    filename,
+                    encoding,
+                    mimetype: mimeType,
+                    size: 0,
+                    path: joinPath(tmpDir, `upload-${generateId()}`),
+                    stream: () => fs.createReadStream(file.path)
+                };
+                files.push(file);
+
+                const output = fs.createWriteStream(file.path);
+                outputs.push(output);
+                closes.push(new Promise(resolve => output.once('close', resolve)));
+                const written = new Promise((resolve, reject) => {
+                    output.on('finish', resolve);
+                    output.on('error', reject);
+                });
+                // После fail() запись прерывается намеренно, ошибка уже не важна
+                written.catch(() => {});
+                writes.push(written);
+
+                stream.on('data', chunk => { file.size += chunk.length; });
+                stream.on('limit', () => fail(new httpErrors.PayloadTooLarge(
+                    `File ${filename} exceeds the limit of ${maxFileSize} bytes`,
+                    { field: name }
+                )));
+                stream.pipe(output);
+            });
+
+            parser.on('filesLimit', () => fail(new httpErrors.PayloadTooLarge(`Too many files, maximum is ${maxFiles}`)));
+            parser.on('fieldsLimit', () => fail(new httpErrors.PayloadTooLarge(`Too many fields, maximum is ${maxFields}`)));
+            parser.on('partsLimit', () => fail(new httpErrors.PayloadTooLarge(`Too many parts, maximum is ${maxParts}`)));
+            parser.on('error', error => fail(new httpErrors.BadRequest(`Invalid multipart body: ${error.message}`)));
+
+            parser.on('close', () => {
+                if (failed) return;
+                Promise.all(writes).then(() => {
+                    if (failed) return;
+                    req.body = body;
+                    req.files = files;
+                    // Временные файлы удаляются после ответа - чтобы сохранить файл, переместите его
+                    res.once('close', () => this.removeUploadedFiles(files));
+                    next();
+                }, fail);
+            });
+
+            req.pipe(parser);
+        };
+    }
+
+    // ===== METRICS =====
+
+    getMetricsOptions() {
+        return {
+            path: '/metrics',
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            ...(typeof this.config.metrics === 'object' ? this.config.metrics : {})
+        };
+    }
+
+    createMetricsRegistry() {
+        const registry = new MetricsRegistry({ buckets: this.getMetricsOptions().buckets });
+
+        registry.define('http_requests_total', 'counter', 'Total number of HTTP requests');
+        registry.define('http_request_duration_seconds', 'histogram', 'HTTP request duration in seconds');
+        registry.define('http_requests_in_flight', 'gauge', 'Number of HTTP requests currently being processed');
+        registry.define('auth_failures_total', 'counter', 'Authentication and authorization failures by reason');
+        registry.define('websocket_connections', 'gauge', 'Number of open WebSocket connections');
+        registry.inc('http_requests_in_flight', {}, 0);
+        registry.inc('websocket_connections', {}, 0);
+
+        return registry;
+    }
+
+    // Метка route - шаблон пути из дерева маршрутов, а не фактический URL
+    metricsMiddleware = (req, res, next) => {
+        // Upgrade запросы не завершаются как HTTP ответ - учитываются в websocket_connections
+        if (req.path === this.getMetricsOptions().path || req.webSocketUpgrade) return next();
+
+        const startTime = process.hrtime.bigint();
+        this.metrics.inc('http_requests_in_flight');
+
+        res.once('close', () => {
+            const labels = {
+                method: req.method,
+                route: req.route?.path || 'unmatched',
+                status_class: `${Math.floor(res.statusCode / 100)}xx`
+            };
+            this.metrics.dec('http_requests_in_flight');
+            this.metrics.inc('http_requests_total', labels);
+            this.metrics.observe('http_request_duration_seconds', labels, Number(process.hrtime.bigint() - startTime) / 1e9);
         });
+
+        next();
+    };
+
+    renderProcessMetrics() {
+        const { user, system } = process.cpuUsage();
+        const memory = process.memoryUsage();
+        const metrics = [
+            ['process_cpu_seconds_total', 'counter', 'Total user and system CPU time spent in seconds', (user + system) / 1e6],
+            ['process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', memory.rss],
+            ['nodejs_heap_size_total_bytes', 'gauge', 'Process heap size in bytes', memory.heapTotal],
+            ['nodejs_heap_size_used_bytes', 'gauge', 'Process heap size used in bytes', memory.heapUsed],
+            ['process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds', Math.round(Date.now() / 1000 - process.uptime())]
+        ];
+
+        return metrics.map(([name, type, help, value]) =>
+            `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${name} ${value}\n`
+        ).join('');
     }
 
-    issueServiceToken(serviceName, additionalPayload = {}) {
-        if (!this.config.JWT_SERVICE) {
-            throw new Error('JWT_SERVICE secret not configured');
-        }
-        if (!serviceName) throw new Error('serviceName is required for service token generation');
-        
-        const payload = { 
-            service: serviceName, 
-            type: 'service',
-            iat: Math.floor(Date.now() / 1000),
-            ...additionalPayload 
-        };
-        
-        return jwt.sign(payload, this.config.JWT_SERVICE, { 
-            expiresIn: this.config.JWT_EXPIRATION 
+    createMetricsEndpoint() {
+        if (!this.metrics) return;
+
+        const metricsPath = this.getMetricsOptions().path;
+
+        this.log.info({ method: 'GET', path: metricsPath }, 'Metrics endpoint registered');
+
+        this.app.get(metricsPath, (req, res) => {
+            res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(this.metrics.render() + this.renderProcessMetrics());
         });
     }
 
-    // ===== AUTH MIDDLEWARE =====
+    // ===== HOOKS =====
 
-    auth = (req, res, next) => {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader?.startsWith('Bearer ')) {
-            return this.sendError(res, { message: 'Missing or invalid Authorization header' }, 401);
-        }
-        
-        const accessToken = authHeader.split(' ')[1];
-        if (!accessToken) {
-            return this.sendError(res, { message: 'Access token not provided' }, 401);
-        }
+    addHook(stage, hook) {
+        assertHook(stage, hook);
+        this.hooks[stage].push(hook);
+        return this;
+    }
 
-        // 1. Проверяем service token (если настроен)
-        if (this.config.JWT_SERVICE) {
-            const serviceDecoded = this.verifyToken(accessToken, this.config.JWT_SERVICE);
-            if (serviceDecoded?.service && serviceDecoded?.type === 'service') {
-                req.service = { 
-                    name: serviceDecoded.service,
-                    payload: serviceDecoded
-                };
-                return next();
-            }
-        }
+    // Хуки плагина, затем хуки самого маршрута
+    normalizeRouteHooks(hooks = {}, path, scope) {
+        Object.entries(hooks).forEach(([stage, fns]) => [].concat(fns).forEach(fn => assertHook(stage, fn, path)));
 
-        // 2. Проверяем user access token
-        const userDecoded = this.verifyToken(accessToken, this.config.JWT_SECRET);
-        if (userDecoded?.user_id && userDecoded?.type === 'access') {
-            req.user = { 
-                user_id: userDecoded.user_id,
-                payload: userDecoded
-            };
-            return next();
-        }
+        return Object.fromEntries(HOOK_STAGES.map(stage => [stage, [
+            ...(scope ? scope.getHooks(stage) : []),
+            ...[].concat(hooks[stage] || [])
+        ]]));
+    }
 
-        // 3. Если access token невалиден, пробуем refresh token
-        const refreshToken = req.cookies?.refreshToken;
-        if (!refreshToken) {
-            return this.sendError(res, { message: 'Access token expired and no refresh token provided' }, 401);
-        }
+    // Сначала серверные хуки, затем хуки маршрута
+    getHooks(stage, routeHooks) {
+        return [...this.hooks[stage], ...(routeHooks[stage] || [])];
+    }
 
-        const refreshDecoded = this.verifyToken(refreshToken, this.config.JWT_REFRESH);
-        if (!refreshDecoded?.user_id || refreshDecoded?.type !== 'refresh') {
-            res.clearCookie('refreshToken');
-            return this.sendError(res, { message: 'Invalid refresh token. Please log in again' }, 401);
+    // Сериализация по схеме ответа, onSend хуки и отправка
+    async sendRouteReply(route, req, res, result) {
+        // Потоки отдаются как есть, без схемы ответа и onSend
+        if (result instanceof ServerSentEvents) {
+            return this.sendEventStream(req, res, result);
         }
-
-        // Выпускаем новый access token
-        try {
-            const newAccessToken = this.issueAccessToken(refreshDecoded.user_id);
-            res.setHeader('X-New-Access-Token', newAccessToken);
-            
-            req.user = { 
-                user_id: refreshDecoded.user_id,
-                payload: refreshDecoded,
-                tokenRefreshed: true
-            };
-            
-            return next();
-        } catch (error) {
-            console.error('[AUTH] Error generating new access token:', error);
-            return this.sendError(res, { message: 'Failed to refresh access token' }, 500);
+        if (isReadableStream(result) || typeof result?.[Symbol.asyncIterator] === 'function') {
+            return this.sendStream(req, res, result);
         }
-    };
 
-    authUserOnly = (req, res, next) => {
-        const authHeader = req.headers.authorization;
-        if (!authHeader?.startsWith('Bearer ')) {
-            return this.sendError(res, { message: 'User token required' }, 401);
+        // Handler может выбрать статус через res.status(201)
+        const status = res.statusCode;
+        let payload = route.response
+            ? this.serializeResponse(route.response, status, result, route.name)
+            : result;
+
+        for (const hook of this.getHooks('onSend', route.hooks)) {
+            const replaced = await hook(req, res, payload);
+            if (res.headersSent) return;
+            if (replaced !== undefined) payload = replaced;
         }
 
-        const token = authHeader.split(' ')[1];
-        const decoded = this.verifyToken(token, this.config.JWT_SECRET);
-        
-        if (!decoded?.user_id || decoded?.type !== 'access') {
-            return this.sendError(res, { message: 'Invalid or expired user token' }, 401);
+        if (route.cache && req.cacheKey) {
+            try {
+                return await this.sendCachedReply(req, res, route.cache, payload, status);
+            } catch (error) {
+                if (!(error instanceof httpErrors.NotAcceptable)) throw error;
+                return this.sendError(res, error, error.status);
+            }
         }
 
-        req.user = { 
-            user_id: decoded.user_id,
-            payload: decoded
+        this.sendSuccess(res, payload, status);
+    }
+
+    // onRequest / preHandler: возвращённое значение или отправленный ответ прерывают цепочку
+    createHookMiddleware(stage, route) {
+        return async (req, res, next) => {
+            try {
+                if (stage === 'onRequest') {
+                    this.trackRouteResponse(route, req, res);
+                }
+
+                for (const hook of this.getHooks(stage, route.hooks)) {
+                    const result = await hook(req, res);
+                    if (res.headersSent) return;
+                    if (result !== undefined) {
+                        await this.sendRouteReply(route, req, res, result);
+                        return;
+                    }
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
         };
-        next();
-    };
+    }
 
-    authServiceOnly = (req, res, next) => {
-        if (!this.config.JWT_SERVICE) {
-            return this.sendError(res, { message: 'Service authentication not configured' }, 500);
-        }
+    // onResponse вызывается после отправки ответа, ошибки только логируются
+    trackRouteResponse(route, req, res) {
+        const hooks = this.getHooks('onResponse', route.hooks);
+        if (hooks.length === 0) return;
 
-        const authHeader = req.headers.authorization;
-        if (!authHeader?.startsWith('Bearer ')) {
-            return this.sendError(res, { message: 'Service token required' }, 401);
-        }
+        res.once('finish', async () => {
+            for (const hook of hooks) {
+                try {
+                    await hook(req, res);
+                } catch (error) {
+                    (req.log || this.log).error({ err: error }, 'onResponse hook failed');
+                }
+            }
+        });
+    }
 
-        const token = authHeader.split(' ')[1];
-        const decoded = this.verifyToken(token, this.config.JWT_SERVICE);
-        
-        if (!decoded?.service || decoded?.type !== 'service') {
-            return this.sendError(res, { message: 'Invalid service token' }, 403);
-        }
+    // onError: значение - ответ вместо ошибки, throw - замена ошибки, undefined - обычная обработка
+    createErrorHookMiddleware(route) {
+        return async (err, req, res, next) => {
+            let error = err;
 
-        req.service = { 
-            name: decoded.service,
-            payload: decoded
+            for (const hook of this.getHooks('onError', route.hooks)) {
+                try {
+                    const result = await hook(error, req, res);
+                    if (res.headersSent) return;
+                    if (result !== undefined) {
+                        await this.sendRouteReply(route, req, res, result);
+                        return;
+                    }
+                } catch (hookError) {
+                    error = hookError;
+                }
+            }
+
+            next(error);
         };
-        next();
-    };
+    }
 
-    // ===== SERVER MIDDLEWARE =====
+    // ===== SERVICES / CONTEXT =====
 
-    securityMiddleware = (req, res, next) => {
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.setHeader('X-Frame-Options', 'DENY');
-        res.setHeader('X-XSS-Protection', '1; mode=block');
-        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-        next();
-    };
+    assertServiceName(name) {
+        if (RESERVED_CONTEXT_KEYS.has(name)) {
+            throw new Error(`Service name "${name}" is reserved`);
+        }
+        if (name in this.services || name in this.requestServices) {
+            throw new Error(`Service "${name}" already registered`);
+        }
+    }
 
-    corsMiddleware = (options = {}) => (req, res, next) => {
-        const {
-            origin = '*',
-            methods = 'GET,HEAD,PUT,PATCH,POST,DELETE',
-            allowedHeaders = 'Content-Type,Authorization',
-            credentials = false
-        } = options;
+    addService(name, value) {
+        this.assertServiceName(name);
+        this.services[name] = value;
+        return this;
+    }
 
-        res.setHeader('Access-Control-Allow-Origin', origin);
-        res.setHeader('Access-Control-Allow-Methods', methods);
-        res.setHeader('Access-Control-Allow-Headers', allowedHeaders);
-        
-        if (credentials) {
-            res.setHeader('Access-Control-Allow-Credentials', 'true');
+    addRequestService(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Request service factory must be a function: ${name}`);
         }
+        this.assertServiceName(name);
+        this.requestServices[name] = factory;
+        return this;
+    }
 
-        if (req.method === 'OPTIONS') {
-            return res.status(200).end();
-        }
+    // ctx третьего аргумента handler: сервисы + user, service, log, requestId текущего запроса
+    createContext(req) {
+        const ctx = { ...this.services };
 
-        next();
-    };
+        // Геттеры - auth middleware заполняют req.user уже после создания ctx
+        Object.defineProperties(ctx, {
+            user: { enumerable: true, get: () => req.user || null },
+            service: { enumerable: true, get: () => req.service || null },
+            log: { enumerable: true, get: () => req.log || this.log },
+            requestId: { enumerable: true, get: () => req.id },
+            cache: { enumerable: true, get: () => this.cache }
+        });
 
-    errorHandler = (err, req, res, next) => {
-        if (res.headersSent) {
-            return next(err);
-        }
-        
-        if (err.status >= 500 || !err.status) {
-            console.error(`[ERROR] ${req.method} ${req.path}:`, err);
-        }
-        
-        const status = err.status || 500;
-        this.sendError(res, err, status);
-    };
+        Object.entries(this.requestServices).forEach(([name, factory]) => {
+            let created = false;
+            let value;
+            Object.defineProperty(ctx, name, {
+                enumerable: true,
+                get: () => {
+                    if (!created) {
+                        value = factory(req, ctx);
+                        created = true;
+                    }
+                    return value;
+                }
+            });
+        });
 
-    notFoundHandler = (req, res) => {
-        this.sendError(res, { 
-            message: "Route not found", 
-            extra: { path: req.path, method: req.method } 
-        }, 404);
-    };
+        return ctx;
+    }
 
-    // ===== HEALTH CHECK =====
+    contextMiddleware = (req, res, next) => {
+        req.ctx = this.createContext(req);
+        next();
+    };
 
-    createHealthCheckEndpoint() {
-        if (!this.config.healthCheck) return;
+    // ===== PLUGINS =====
 
-        const healthPath = this.config.healthCheckPath;
-        
-        if (this.config.enableLogging) {
-            console.log(`[Health] GET ${healthPath}`);
-        }
+    register(plugin, options) {
+        this.rootScope.register(plugin, options);
+        return this;
+    }
 
-        this.app.get(healthPath, (req, res) => {
-            const uptime = this.startTime ? Date.now() - this.startTime : 0;
-            
-            const healthData = {
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                uptime: `${Math.floor(uptime / 1000)}s`,
-                version: require('./package.json').version || 'unknown',
-                service: 'fast-node-rest',
-                ...(this.config.healthCheckData && typeof this.config.healthCheckData === 'object' 
-                    ? this.config.healthCheckData 
-                    : {}),
-                ...(typeof this.config.healthCheckData === 'function' 
-                    ? this.config.healthCheckData(req) 
-                    : {})
-            };
+    // Декоратор верхнего уровня, виден во всех плагинах
+    decorate(name, value) {
+        this.rootScope.decorate(name, value);
+        return this;
+    }
 
-            this.sendSuccess(res, healthData);
-        });
+    // Плагины могут регистрировать вложенные плагины, поэтому ждём до опустошения очереди
+    async loadPlugins() {
+        while (this.pluginLoads.length > 0) {
+            const loads = this.pluginLoads.splice(0);
+            await Promise.all(loads);
+        }
     }
 
     // ===== CORE SERVER МЕТОДЫ =====
@@ -347,70 +3100,149 @@ class FastNodeREST {
         }
     }
 
-    addRoute(path, config) {
-        const { method = 'post', handler, middlewares = [] } = config;
+    addRoute(path, config, scope = null) {
+        const { method = config.ws ? 'ws' : 'post', handler, middlewares = [], schema, response } = config;
+        const auth = this.normalizeRouteAuth(config.auth, path);
         
         if (!handler || typeof handler !== 'function') {
             throw new Error(`Handler must be a function for route: ${path}`);
         }
 
-        const validMethods = ['get', 'post', 'put', 'delete', 'patch'];
         const normalizedMethod = method.toLowerCase();
         
-        if (!validMethods.includes(normalizedMethod)) {
+        if (!ROUTE_METHODS.includes(normalizedMethod) && normalizedMethod !== 'ws') {
             throw new Error(`Invalid method: ${method}`);
         }
 
         const fullPath = (this.config.prefix + path).replace(/\/+/g, '/');
         
-        if (this.config.enableLogging) {
-            console.log(`[Route] ${normalizedMethod.toUpperCase()} ${fullPath}`);
+        this.log.info({ method: normalizedMethod.toUpperCase(), path: fullPath }, 'Route registered');
+
+        this.routeTable.push({ method: normalizedMethod, path: fullPath, config });
+
+        const cors = this.createRouteCors(config, fullPath);
+        const authorization = this.createAuthMiddlewares(auth, middlewares);
+        const rateLimit = this.getRouteRateLimit(config);
+        const limiter = rateLimit ? [this.rateLimit(rateLimit, `${normalizedMethod}:${fullPath}`)] : [];
+        const bodyParsers = config.bodyParser ? this.createBodyParsers(config.bodyParser, fullPath) : [];
+        const upload = config.upload ? [this.createUploadMiddleware(config.upload)] : [];
+        const validation = schema ? [this.createValidationMiddleware(schema, fullPath)] : [];
+
+        if (config.cache && !['get', 'head'].includes(normalizedMethod)) {
+            throw new Error(`Response cache is only supported for GET routes: ${fullPath}`);
+        }
+
+        const route = {
+            name: `${normalizedMethod.toUpperCase()} ${fullPath}`,
+            response,
+            hooks: this.normalizeRouteHooks(config.hooks, fullPath, scope),
+            cache: config.cache ? this.getCacheOptions(config.cache) : null
+        };
+
+        const chain = [
+            this.contextMiddleware,
+            this.createHookMiddleware('onRequest', route),
+            ...cors,
+            ...authorization.before,
+            ...middlewares,
+            ...authorization.after,
+            ...limiter,
+            ...bodyParsers,
+            ...upload,
+            ...validation,
+            this.createHookMiddleware('preHandler', route),
+            ...(route.cache ? [this.createCacheMiddleware(route.cache)] : [])
+        ];
+
+        if (normalizedMethod === 'ws') {
+            this.hasWebSocketRoutes = true;
+            this.webSocketPaths.get(fullPath, (req, res, next) => {
+                req.webSocketUpgrade.matched = true;
+                next('router');
+            });
+            const options = this.getWebSocketOptions(config.ws);
+            // Обычный GET на этот путь проходит мимо, к следующему маршруту
+            const upgradeOnly = (req, res, next) => next(req.webSocketUpgrade ? undefined : 'route');
+            const token = options.tokenQuery ? [this.createWebSocketTokenMiddleware(options.tokenQuery)] : [];
+
+            this.app.get(fullPath, upgradeOnly, ...token, ...chain,
+                this.createWebSocketHandler(handler, options), this.createErrorHookMiddleware(route));
+            return;
         }
 
-        this.app[normalizedMethod](fullPath, ...middlewares, async (req, res, next) => {
+        // Upgrade на путь, где есть и обычный GET, достаётся WebSocket маршруту
+        const httpOnly = (req, res, next) => next(req.webSocketUpgrade ? 'route' : undefined);
+
+        this.app[normalizedMethod](fullPath, httpOnly, ...chain, async (req, res, next) => {
             try {
-                const result = await handler(req, res);
+                const result = await handler(req, res, req.ctx);
                 if (!res.headersSent) {
-                    this.sendSuccess(res, result);
+                    await this.sendRouteReply(route, req, res, result);
                 }
             } catch (error) {
                 next(error);
             }
-        });
+        }, this.createErrorHookMiddleware(route));
     }
 
-    parseRoutes(routes, basePath = '') {
+    parseRoutes(routes, basePath = '', scope = null) {
         Object.entries(routes).forEach(([key, route]) => {
-            const newPath = `${basePath}/${key}`.replace(/\/+/g, '/');
+            // [id] - альтернативная запись параметра :id
+            const segment = key.replace(/^\[([A-Za-z0-9_]+)\]$/, ':$1');
+            const newPath = `${basePath}/${segment}`.replace(/\/+/g, '/');
 
             if (!route || typeof route !== 'object') {
                 throw new Error(`Invalid route configuration at path: ${newPath}`);
             }
 
+            // { get: {...}, put: {...} } - несколько методов на одном пути
+            if (ROUTE_METHODS.includes(key.toLowerCase()) && 'handler' in route && !('method' in route)) {
+                this.addRoute(basePath || '/', { ...route, method: key }, scope);
+                return;
+            }
+
             if ('handler' in route) {
-                this.addRoute(newPath, route);
+                this.addRoute(newPath, route, scope);
                 return;
             }
 
-            this.parseRoutes(route, newPath);
+            this.parseRoutes(route, newPath, scope);
         });
     }
 
-    async start() {
+    // Собирает приложение без открытия порта: для start() и inject()
+    build() {
+        this.building = this.createApp().finally(() => {
+            this.building = null;
+        });
+        return this.building;
+    }
+
+    async createApp() {
         this.validateConfig();
+        await this.loadPlugins();
         this.startTime = Date.now();
+        this.shuttingDown = false;
+        this.injectServer = null;
 
         this.app = express();
+        this.app.set('trust proxy', this.config.trustProxy);
+
+        // Request ID и access log - первыми, чтобы покрыть все ответы
+        this.app.use(this.requestLogger);
+        this.app.use(this.webSocketUpgradeGuard);
+        if (this.metrics) {
+            this.app.use(this.metricsMiddleware);
+        }
 
         // Security middleware
         if (this.config.security) {
             this.app.use(this.securityMiddleware);
         }
 
-        // CORS middleware
+        // CORS middleware (preflight завершается после маршрутов, чтобы сработали маршрутные настройки)
         if (this.config.cors) {
-            const corsOptions = typeof this.config.cors === 'object' ? this.config.cors : {};
-            this.app.use(this.corsMiddleware(corsOptions));
+            this.app.use(this.corsMiddleware({ ...this.getCorsOptions(), preflightContinue: true }));
         }
 
         // Basic middleware
@@ -422,39 +3254,255 @@ class FastNodeREST {
             if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
                 return this.sendError(res, { message: 'Invalid JSON syntax' }, 400);
             }
+            // Ошибки body-parser (entity.too.large и т.п.) несут служебные поля - заменяем их на HttpError
+            if (err.type && err.expose && !(err instanceof HttpError)) {
+                return next(new HttpError(err.status, err.message));
+            }
             next(err);
         });
 
         // Health check endpoint (before user routes)
         this.createHealthCheckEndpoint();
 
+        // Публичные ключи для проверки токенов другими сервисами
+        this.createJwksEndpoint();
+
+        this.createMetricsEndpoint();
+
         // Parse user routes
+        this.routeTable = [];
+        this.webSocketPaths = express.Router();
         this.parseRoutes(this.config.routes);
+        this.pluginRoutes.forEach(({ routes, scope }) => this.parseRoutes(routes, scope.prefix, scope));
+
+        // Probes - после маршрутов, чтобы не перекрыть их
+        this.createProbeEndpoints();
+
+        // OpenAPI документ строится по зарегистрированным маршрутам
+        this.createOpenAPIEndpoint();
         
         // Error handlers
+        this.app.options('*', this.preflightHandler);
         this.app.use(this.notFoundHandler);
         this.app.use(this.errorHandler);
-        
+
+        return this.app;
+    }
+
+    async start() {
+        await this.build();
+
         return new Promise((resolve, reject) => {
             this.serverInstance = this.app.listen(this.config.port, (err) => {
                 if (err) {
                     reject(err);
                 } else {
-                    console.log(`Server running on port ${this.config.port}`);
+                    this.log.info({ port: this.config.port }, 'Server running');
                     resolve(this.serverInstance);
                 }
             });
+
+            this.trackConnections(this.serverInstance);
+            this.serverInstance.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+            this.registerSignalHandlers();
         });
     }
 
-    async stop() {
-        if (this.serverInstance) {
-            return new Promise((resolve) => {
-                this.serverInstance.close(() => {
-                    console.log('Server stopped');
-                    resolve();
+    // ===== INJECT =====
+
+    // Полный pipeline запроса в памяти, без сети. Приложение собирается при первом вызове
+    async inject({ method = 'GET', url = '/', headers = {}, body, cookies } = {}) {
+        if (this.building) {
+            await this.building;
+        } else if (!this.app) {
+            await this.build();
+        }
+        if (!this.injectServer) {
+            this.injectServer = http.createServer(this.app);
+        }
+
+        const requestHeaders = Object.fromEntries(
+            Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+        );
+
+        let payload = null;
+        if (body !== undefined && body !== null) {
+            if (Buffer.isBuffer(body) || typeof body === 'string') {
+                payload = body;
+            } else {
+                payload = JSON.stringify(body);
+                requestHeaders['content-type'] = requestHeaders['content-type'] || 'application/json';
+            }
+            requestHeaders['content-length'] = Buffer.byteLength(payload);
+        }
+
+        if (cookies) {
+            const cookieHeader = Object.entries(cookies)
+                .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+                .join('; ');
+            requestHeaders.cookie = [requestHeaders.cookie, cookieHeader].filter(Boolean).join('; ');
+        }
+
+        const [clientSocket, serverSocket] = createSocketPair();
+        this.injectServer.emit('connection', serverSocket);
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                method: method.toUpperCase(),
+                path: url,
+                headers: { host: 'localhost', connection: 'close', ...requestHeaders },
+                createConnection: () => clientSocket
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                // Сервер оборвал ответ (res.destroy) - как socket hang up у настоящего клиента
+                res.on('close', () => {
+                    if (!res.complete) reject(new Error('socket hang up'));
                 });
+                res.on('end', () => {
+                    const rawBody = Buffer.concat(chunks).toString();
+                    let parsed = rawBody;
+                    if (/json/i.test(res.headers['content-type'] || '') && rawBody) {
+                        try {
+                            parsed = JSON.parse(rawBody);
+                        } catch (error) {
+                            parsed = rawBody;
+                        }
+                    }
+
+                    const responseCookies = Object.fromEntries((res.headers['set-cookie'] || []).map(cookie => {
+                        const [pair] = cookie.split(';');
+                        const index = pair.indexOf('=');
+                        return [pair.slice(0, index).trim(), decodeURIComponent(pair.slice(index + 1))];
+                    }));
+
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: parsed,
+                        rawBody,
+                        cookies: responseCookies
+                    });
+                });
+            });
+
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+
+    // ===== GRACEFUL SHUTDOWN =====
+
+    trackConnections(server) {
+        this.connections.clear();
+
+        server.on('connection', (socket) => {
+            this.connections.set(socket, 0);
+            socket.once('close', () => this.connections.delete(socket));
+        });
+
+        server.on('request', (req, res) => {
+            const { socket } = req;
+            this.connections.set(socket, (this.connections.get(socket) || 0) + 1);
+
+            // Во время остановки просим клиента не переиспользовать соединение
+            if (this.shuttingDown && !res.headersSent) {
+                res.setHeader('Connection', 'close');
+            }
+
+            res.once('close', () => {
+                const active = (this.connections.get(socket) || 1) - 1;
+                this.connections.set(socket, active);
+                if (this.shuttingDown && active === 0) {
+                    socket.destroy();
+                }
             });
+        });
+    }
+
+    closeIdleConnections() {
+        this.connections.forEach((active, socket) => {
+            if (active === 0) socket.destroy();
+        });
+    }
+
+    onClose(hook) {
+        if (typeof hook !== 'function') {
+            throw new Error('onClose hook must be a function');
+        }
+        this.closeHooks.push(hook);
+        return this;
+    }
+
+    async runCloseHooks() {
+        for (const hook of this.closeHooks) {
+            try {
+                await hook(this);
+            } catch (error) {
+                this.log.error({ err: error }, 'onClose hook failed');
+            }
+        }
+    }
+
+    // handleSignals: true (SIGTERM и SIGINT) или массив сигналов
+    registerSignalHandlers() {
+        const { handleSignals } = this.config;
+        if (!handleSignals || this.signalHandlers) return;
+
+        const signals = Array.isArray(handleSignals) ? handleSignals : ['SIGTERM', 'SIGINT'];
+        this.signalHandlers = signals.map(signal => {
+            const handler = () => {
+                this.log.info({ signal }, 'Shutdown signal received');
+                this.stop().then(() => process.exit(0), (error) => {
+                    this.log.error({ err: error }, 'Shutdown failed');
+                    process.exit(1);
+                });
+            };
+            process.once(signal, handler);
+            return [signal, handler];
+        });
+    }
+
+    removeSignalHandlers() {
+        (this.signalHandlers || []).forEach(([signal, handler]) => process.removeListener(signal, handler));
+        this.signalHandlers = null;
+    }
+
+    // Перестаёт принимать соединения, ждёт завершения запросов, по истечении timeout закрывает сокеты
+    async stop({ timeout = this.config.shutdownTimeout } = {}) {
+        if (this.stopping) return this.stopping;
+
+        // Readiness сразу начинает отвечать 503
+        this.shuttingDown = true;
+        this.removeSignalHandlers();
+
+        this.stopping = (async () => {
+            if (this.serverInstance) {
+                const closed = new Promise(resolve => this.serverInstance.close(resolve));
+                this.closeIdleConnections();
+                // SSE потоки и WebSocket бесконечны, ждать их завершения бессмысленно
+                this.eventStreams.forEach(stream => stream.close());
+                this.webSockets.forEach(ws => ws.close(1001, 'Server shutting down'));
+
+                const timer = setTimeout(() => {
+                    this.log.warn({ connections: this.connections.size }, 'Shutdown timeout reached, closing remaining connections');
+                    this.connections.forEach((active, socket) => socket.destroy());
+                }, timeout);
+
+                await closed;
+                clearTimeout(timer);
+                this.serverInstance = null;
+            }
+
+            await this.runCloseHooks();
+            this.log.info('Server stopped');
+        })();
+
+        try {
+            await this.stopping;
+        } finally {
+            this.stopping = null;
         }
     }
 
@@ -474,7 +3522,10 @@ class FastNodeREST {
             authUserOnly: this.authUserOnly,
             authServiceOnly: this.authServiceOnly,
             security: this.securityMiddleware,
-            cors: this.corsMiddleware
+            cors: this.corsMiddleware,
+            requireRoles: this.requireRoles,
+            requireScopes: this.requireScopes,
+            rateLimit: this.rateLimit
         };
     }
 
@@ -484,11 +3535,27 @@ class FastNodeREST {
             issueAccessToken: this.issueAccessToken.bind(this),
             issueRefreshToken: this.issueRefreshToken.bind(this),
             issueServiceToken: this.issueServiceToken.bind(this),
-            verifyToken: this.verifyToken.bind(this)
+            verifyToken: this.verifyToken.bind(this),
+            rotateRefreshToken: this.rotateRefreshToken.bind(this),
+            revokeRefreshToken: this.revokeRefreshToken.bind(this),
+            setRefreshCookie: this.setRefreshCookie.bind(this),
+            clearRefreshCookie: this.clearRefreshCookie.bind(this),
+            addKey: this.addJwtKey.bind(this),
+            removeKey: this.removeJwtKey.bind(this),
+            setActiveKey: this.setActiveJwtKey.bind(this),
+            getJwks: this.getJwks.bind(this)
         };
     }
 
     // Response shortcuts для удобства
+    // Кэш ответов: server.cache.invalidate('posts')
+    get cache() {
+        return {
+            invalidate: this.invalidateCache.bind(this),
+            clear: () => this.cacheStore.clear()
+        };
+    }
+
     get response() {
         return {
             success: this.sendSuccess.bind(this),
@@ -497,5 +3564,12 @@ class FastNodeREST {
     }
 }
 
+// Хранилища доступны как статические свойства класса
+FastNodeREST.MemoryTokenStore = MemoryTokenStore;
+FastNodeREST.MemoryRateLimitStore = MemoryRateLimitStore;
+FastNodeREST.MemoryCacheStore = MemoryCacheStore;
+FastNodeREST.HttpError = HttpError;
+Object.assign(FastNodeREST, httpErrors);
+
 // Экспорт только монолитного класса
 module.exports = FastNodeREST;
\ No newline at end of file
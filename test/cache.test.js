@@ -0,0 +1,99 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+describe('response cache', () => {
+    let server;
+    let calls;
+
+    beforeEach(() => {
+        calls = { posts: 0, me: 0 };
+        server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            JWT_SECRET: 'test-access',
+            JWT_REFRESH: 'test-refresh',
+            routes: {
+                posts: {
+                    get: {
+                        cache: { ttl: 60000, tags: ['posts'] },
+                        handler: async () => {
+                            calls.posts++;
+                            return [{ id: 1, title: `v${calls.posts}` }];
+                        }
+                    },
+                    create: {
+                        method: 'post',
+                        handler: async (req, res, { cache }) => {
+                            await cache.invalidate('posts');
+                            return { ok: true };
+                        }
+                    }
+                },
+                me: {
+                    method: 'get',
+                    auth: true,
+                    cache: true,
+                    handler: async (req) => {
+                        calls.me++;
+                        return { user_id: req.user.user_id };
+                    }
+                }
+            }
+        });
+    });
+
+    it('serves repeated requests from the cache with an ETag and answers 304 to If-None-Match', async () => {
+        const first = await server.inject({ url: '/posts' });
+        assert.strictEqual(first.headers['x-cache'], 'MISS');
+        assert.ok(first.headers.etag);
+        assert.ok(first.headers['last-modified']);
+
+        const second = await server.inject({ url: '/posts' });
+        assert.strictEqual(second.headers['x-cache'], 'HIT');
+        assert.strictEqual(second.headers.etag, first.headers.etag);
+        assert.deepStrictEqual(second.body, first.body);
+        assert.strictEqual(calls.posts, 1);
+
+        const notModified = await server.inject({ url: '/posts', headers: { 'If-None-Match': first.headers.etag } });
+        assert.strictEqual(notModified.status, 304);
+        assert.strictEqual(notModified.rawBody, '');
+        assert.strictEqual(calls.posts, 1);
+    });
+
+    it('keeps separate entries per user and per Accept value', async () => {
+        const alice = { Authorization: `Bearer ${server.jwt.issueAccessToken(1)}` };
+        const bob = { Authorization: `Bearer ${server.jwt.issueAccessToken(2)}` };
+
+        assert.deepStrictEqual((await server.inject({ url: '/me', headers: alice })).body, { user_id: 1 });
+        assert.deepStrictEqual((await server.inject({ url: '/me', headers: bob })).body, { user_id: 2 });
+        const again = await server.inject({ url: '/me', headers: alice });
+        assert.strictEqual(again.headers['x-cache'], 'HIT');
+        assert.deepStrictEqual(again.body, { user_id: 1 });
+        assert.strictEqual(calls.me, 2);
+
+        await server.inject({ url: '/posts' });
+        const csv = await server.inject({ url: '/posts', headers: { Accept: 'text/csv' } });
+        assert.strictEqual(csv.headers['x-cache'], 'MISS');
+        assert.match(csv.headers['content-type'], /^text\/csv/);
+        assert.match(csv.headers.vary, /Accept/);
+
+        const cachedCsv = await server.inject({ url: '/posts', headers: { Accept: 'text/csv' } });
+        assert.strictEqual(cachedCsv.headers['x-cache'], 'HIT');
+        assert.match(cachedCsv.headers['content-type'], /^text\/csv/);
+        assert.strictEqual(cachedCsv.rawBody, csv.rawBody);
+    });
+
+    it('drops tagged entries on ctx.cache.invalidate and server.cache.invalidate', async () => {
+        await server.inject({ url: '/posts' });
+        await server.inject({ method: 'POST', url: '/posts/create' });
+
+        const afterCtx = await server.inject({ url: '/posts' });
+        assert.strictEqual(afterCtx.headers['x-cache'], 'MISS');
+        assert.strictEqual(afterCtx.body[0].title, 'v2');
+
+        await server.cache.invalidate(['posts']);
+        const afterServer = await server.inject({ url: '/posts' });
+        assert.strictEqual(afterServer.headers['x-cache'], 'MISS');
+        assert.strictEqual(calls.posts, 3);
+    });
+});
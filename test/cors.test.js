@@ -0,0 +1,63 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+describe('cors', () => {
+    const server = new FastNodeREST({
+        port: 3000,
+        enableLogging: false,
+        cors: {
+            origin: ['https://app.example.com', /\.example\.org$/],
+            credentials: true,
+            maxAge: 600
+        },
+        routes: {
+            items: { method: 'get', handler: async () => ({ ok: true }) },
+            internal: { method: 'get', cors: false, handler: async () => ({ ok: true }) }
+        }
+    });
+
+    it('allows listed and matching origins and ignores others', async () => {
+        const listed = await server.inject({ url: '/items', headers: { Origin: 'https://app.example.com' } });
+        assert.strictEqual(listed.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.strictEqual(listed.headers['access-control-allow-credentials'], 'true');
+        assert.match(listed.headers['access-control-expose-headers'], /RateLimit-Remaining/);
+        assert.match(listed.headers.vary, /Origin/);
+
+        const matched = await server.inject({ url: '/items', headers: { Origin: 'https://admin.example.org' } });
+        assert.strictEqual(matched.headers['access-control-allow-origin'], 'https://admin.example.org');
+
+        const foreign = await server.inject({ url: '/items', headers: { Origin: 'https://evil.example.com' } });
+        assert.strictEqual(foreign.status, 200);
+        assert.strictEqual(foreign.headers['access-control-allow-origin'], undefined);
+        assert.strictEqual(foreign.headers['access-control-allow-credentials'], undefined);
+    });
+
+    it('answers preflight requests with 204 and Access-Control-Max-Age', async () => {
+        const res = await server.inject({
+            method: 'OPTIONS',
+            url: '/items',
+            headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'GET' }
+        });
+
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(res.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.strictEqual(res.headers['access-control-max-age'], '600');
+        assert.match(res.headers['access-control-allow-methods'], /GET/);
+    });
+
+    it('cors: false on a route drops the global headers', async () => {
+        const res = await server.inject({ url: '/internal', headers: { Origin: 'https://app.example.com' } });
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('rejects origin \'*\' with credentials', async () => {
+        const wildcard = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            cors: { origin: '*', credentials: true },
+            routes: {}
+        });
+
+        await assert.rejects(wildcard.inject({ url: '/' }), /cannot be used with credentials/);
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const FastNodeREST = require('../index.js');
+
+const JWKS_PORT = 3920;
+const ISSUER = 'https://idp.example.com';
+
+// Импорт JWK доступен с Node.js 16
+const describeJwk = Number(process.versions.node.split('.')[0]) >= 16 ? describe : describe.skip;
+
+describeJwk('external issuers', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const hits = { '/jwks': 0, '/down': 0 };
+    let jwksServer;
+    let server;
+
+    const sign = (payload, options = {}) => jwt.sign({ sub: 'u-1', ...payload }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'key-1',
+        issuer: ISSUER,
+        audience: 'orders-api',
+        expiresIn: '5m',
+        ...options
+    });
+
+    const profile = token => server.inject({ url: '/profile', headers: { Authorization: `Bearer ${token}` } });
+
+    before(async () => {
+        jwksServer = http.createServer((req, res) => {
+            hits[req.url]++;
+            if (req.url === '/down') {
+                res.writeHead(503).end();
+                return;
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }] }));
+        });
+        await new Promise(resolve => jwksServer.listen(JWKS_PORT, resolve));
+
+        server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            JWT_SECRET: 'test-access',
+            JWT_REFRESH: 'test-refresh',
+            JWT_ISSUERS: [
+                { issuer: ISSUER, audience: 'orders-api', jwksUri: `http://127.0.0.1:${JWKS_PORT}/jwks` },
+                { issuer: 'https://down.example.com', jwksUri: `http://127.0.0.1:${JWKS_PORT}/down` }
+            ],
+            routes: {
+                profile: {
+                    method: 'get',
+                    auth: true,
+                    handler: async req => ({ user_id: req.user.user_id, issuer: req.user.issuer })
+                }
+            }
+        });
+    });
+
+    after(() => new Promise(resolve => jwksServer.close(resolve)));
+
+    it('accepts tokens signed with a key from the JWKS and caches the keys', async () => {
+        const first = await profile(sign());
+        assert.strictEqual(first.status, 200);
+        assert.deepStrictEqual(first.body, { user_id: 'u-1', issuer: ISSUER });
+
+        const second = await profile(sign({ sub: 'u-2' }));
+        assert.strictEqual(second.body.user_id, 'u-2');
+        assert.strictEqual(hits['/jwks'], 1);
+    });
+
+    it('rejects tokens with an unknown iss or a wrong aud', async () => {
+        const wrongIssuer = await profile(sign({}, { issuer: 'https://evil.example.com' }));
+        assert.strictEqual(wrongIssuer.status, 401);
+
+        const wrongAudience = await profile(sign({}, { audience: 'billing-api' }));
+        assert.strictEqual(wrongAudience.status, 401);
+    });
+
+    it('does not refetch a failing JWKS on every request', async () => {
+        const token = sign({}, { issuer: 'https://down.example.com' });
+
+        const results = await Promise.all([1, 2].map(() => profile(token)));
+        const retry = await profile(token);
+
+        assert.deepStrictEqual([...results, retry].map(res => res.status), [401, 401, 401]);
+        assert.strictEqual(hits['/down'], 1);
+    });
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+describe('metrics', () => {
+    const server = new FastNodeREST({
+        port: 3000,
+        enableLogging: false,
+        metrics: true,
+        routes: {
+            users: {
+                '[id]': {
+                    method: 'get',
+                    handler: async req => ({ id: req.params.id })
+                }
+            }
+        }
+    });
+
+    it('labels requests with the route template instead of the URL', async () => {
+        await server.inject({ url: '/users/1' });
+        await server.inject({ url: '/users/2' });
+        await server.inject({ url: '/missing/42' });
+
+        const res = await server.inject({ url: '/metrics' });
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+
+        const lines = res.rawBody.split('\n');
+        assert.ok(lines.includes('http_requests_total{method="GET",route="/users/:id",status_class="2xx"} 2'));
+        assert.ok(lines.includes('http_requests_total{method="GET",route="unmatched",status_class="4xx"} 1'));
+        assert.ok(!res.rawBody.includes('/users/1'));
+        assert.ok(!res.rawBody.includes('/missing/42'));
+        assert.ok(!res.rawBody.includes('route="/metrics"'));
+        assert.ok(lines.some(line => line.startsWith('http_request_duration_seconds_count{method="GET",route="/users/:id"')));
+    });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+const postSchema = {
+    type: 'object',
+    required: ['title'],
+    properties: { id: { type: 'integer' }, title: { type: 'string' } }
+};
+
+describe('openapi', () => {
+    const server = new FastNodeREST({
+        port: 3000,
+        enableLogging: false,
+        JWT_SECRET: 'test-access',
+        JWT_REFRESH: 'test-refresh',
+        openapi: { info: { title: 'Blog API', version: '2.0.0' } },
+        routes: {
+            posts: {
+                '[id]': {
+                    method: 'get',
+                    summary: 'Get a post',
+                    tags: 'posts',
+                    schema: {
+                        params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+                        query: { type: 'object', required: ['fields'], properties: { fields: { type: 'string' } } }
+                    },
+                    response: { 200: postSchema },
+                    handler: async req => ({ id: req.params.id, title: 'Hello' })
+                },
+                create: {
+                    method: 'post',
+                    auth: { type: 'user', roles: ['editor'] },
+                    schema: { body: postSchema },
+                    handler: async req => req.body
+                }
+            },
+            live: { method: 'ws', handler: () => {} }
+        }
+    });
+
+    it('serves an OpenAPI 3.1 document built from the routes', async () => {
+        const res = await server.inject({ url: '/openapi.json' });
+        assert.strictEqual(res.status, 200);
+
+        const document = res.body;
+        assert.strictEqual(document.openapi, '3.1.0');
+        assert.deepStrictEqual(document.info, { title: 'Blog API', version: '2.0.0' });
+        assert.deepStrictEqual(Object.keys(document.paths).sort(), ['/posts/create', '/posts/{id}']);
+
+        const get = document.paths['/posts/{id}'].get;
+        assert.strictEqual(get.summary, 'Get a post');
+        assert.deepStrictEqual(get.tags, ['posts']);
+        assert.deepStrictEqual(get.parameters, [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+            { name: 'fields', in: 'query', required: true, schema: { type: 'string' } }
+        ]);
+        assert.deepStrictEqual(get.responses['200'].content['application/json'].schema, postSchema);
+        assert.deepStrictEqual(get.responses['400'].content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+        assert.strictEqual(get.security, undefined);
+
+        const create = document.paths['/posts/create'].post;
+        assert.deepStrictEqual(create.requestBody, {
+            required: true,
+            content: { 'application/json': { schema: postSchema } }
+        });
+        assert.deepStrictEqual(create.security, [{ bearerAuth: ['editor'] }]);
+        assert.ok(create.responses['401'] && create.responses['403']);
+
+        assert.deepStrictEqual(document.components.securitySchemes.bearerAuth, { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+        assert.deepStrictEqual(document.components.schemas.Error.required, ['error']);
+    });
+});
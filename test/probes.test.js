@@ -0,0 +1,57 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+describe('probes', () => {
+    it('are not registered unless their paths are set', async () => {
+        const server = new FastNodeREST({ port: 3000, enableLogging: false, routes: {} });
+
+        assert.strictEqual((await server.inject({ url: '/live' })).status, 404);
+        assert.strictEqual((await server.inject({ url: '/ready' })).status, 404);
+    });
+
+    it('readiness answers 503 while a check fails and during shutdown', async () => {
+        let databaseUp = false;
+        const server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            livenessPath: '/live',
+            readinessPath: '/ready',
+            routes: {}
+        });
+        server.addHealthCheck('database', async () => databaseUp);
+
+        const live = await server.inject({ url: '/live' });
+        assert.strictEqual(live.status, 200);
+        assert.strictEqual(live.body.status, 'alive');
+
+        const down = await server.inject({ url: '/ready' });
+        assert.strictEqual(down.status, 503);
+        assert.strictEqual(down.body.status, 'not_ready');
+        assert.strictEqual(down.body.checks.database.status, 'fail');
+
+        databaseUp = true;
+        const ready = await server.inject({ url: '/ready' });
+        assert.strictEqual(ready.status, 200);
+        assert.strictEqual(ready.body.status, 'ready');
+
+        let duringShutdown;
+        server.onClose(async () => {
+            duringShutdown = await server.inject({ url: '/ready' });
+        });
+        await server.stop();
+
+        assert.strictEqual(duringShutdown.status, 503);
+        assert.deepStrictEqual(duringShutdown.body, { status: 'shutting_down' });
+    });
+
+    it('leave paths taken by routes to the routes', async () => {
+        const server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            readinessPath: '/ready',
+            routes: { ready: { method: 'get', handler: async () => ({ mine: true }) } }
+        });
+
+        assert.deepStrictEqual((await server.inject({ url: '/ready' })).body, { mine: true });
+    });
+});
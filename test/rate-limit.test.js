@@ -0,0 +1,59 @@
+const assert = require('assert');
+const FastNodeREST = require('../index.js');
+
+describe('rate limit', () => {
+    let server;
+
+    beforeEach(() => {
+        server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            JWT_SECRET: 'test-access',
+            JWT_REFRESH: 'test-refresh',
+            rateLimit: { windowMs: 60000, max: 2 },
+            routes: {
+                search: { method: 'get', handler: async () => ({ ok: true }) },
+                reports: {
+                    method: 'get',
+                    auth: true,
+                    rateLimit: { max: 1, key: 'user' },
+                    handler: async () => ({ ok: true })
+                },
+                status: { method: 'get', rateLimit: false, handler: async () => ({ ok: true }) }
+            }
+        });
+    });
+
+    it('answers 429 with Retry-After and RateLimit-* headers over the limit', async () => {
+        const first = await server.inject({ url: '/search' });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.headers['ratelimit-limit'], '2');
+        assert.strictEqual(first.headers['ratelimit-remaining'], '1');
+
+        await server.inject({ url: '/search' });
+        const limited = await server.inject({ url: '/search' });
+
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.body.error.code, 'RATE_LIMITED');
+        assert.strictEqual(limited.headers['ratelimit-remaining'], '0');
+        const reset = Number(limited.headers['ratelimit-reset']);
+        assert.ok(reset > 0 && reset <= 60);
+        assert.strictEqual(limited.headers['retry-after'], String(reset));
+    });
+
+    it('counts route limits per user and skips routes with rateLimit: false', async () => {
+        const headers = userId => ({ Authorization: `Bearer ${server.jwt.issueAccessToken(userId)}` });
+
+        assert.strictEqual((await server.inject({ url: '/reports', headers: headers(1) })).status, 200);
+        assert.strictEqual((await server.inject({ url: '/reports', headers: headers(1) })).status, 429);
+        assert.strictEqual((await server.inject({ url: '/reports', headers: headers(2) })).status, 200);
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            const res = await server.inject({ url: '/status' });
+            statuses.push(res.status);
+            assert.strictEqual(res.headers['ratelimit-limit'], undefined);
+        }
+        assert.deepStrictEqual(statuses, [200, 200, 200]);
+    });
+});
@@ -0,0 +1,331 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const FastNodeREST = require('../index.js');
+
+const { NotFound } = FastNodeREST;
+
+const JWT_CONFIG = {
+    JWT_SECRET: 'test-access',
+    JWT_REFRESH: 'test-refresh',
+    JWT_SERVICE: 'test-service',
+    // Повторное использование refresh token сразу считается кражей
+    JWT_REFRESH_REUSE_INTERVAL: 0
+};
+
+const users = new Map([
+    ['admin', { id: 1, password: 'admin123', role: 'admin' }]
+]);
+
+const routes = {
+    auth: {
+        login: {
+            method: 'post',
+            schema: {
+                body: {
+                    type: 'object',
+                    required: ['username', 'password'],
+                    additionalProperties: false,
+                    properties: {
+                        username: { type: 'string', minLength: 1 },
+                        password: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            handler: async (req, res, { users }) => {
+                const user = users.get(req.body.username);
+                if (!user || user.password !== req.body.password) {
+                    throw new FastNodeREST.Unauthorized('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+                }
+
+                server.jwt.setRefreshCookie(res, server.jwt.issueRefreshToken(user.id, { role: user.role }));
+                return { accessToken: server.jwt.issueAccessToken(user.id, { role: user.role }) };
+            }
+        }
+    },
+    profile: {
+        method: 'get',
+        auth: true,
+        handler: async (req) => ({ user_id: req.user.user_id, refreshed: Boolean(req.user.tokenRefreshed) })
+    },
+    admin: {
+        method: 'get',
+        auth: { roles: ['admin'] },
+        handler: async () => ({ ok: true })
+    },
+    posts: {
+        '[id]': {
+            method: 'get',
+            schema: {
+                params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } }
+            },
+            response: {
+                200: { type: 'object', properties: { id: { type: 'integer' }, title: { type: 'string' } } }
+            },
+            handler: async (req) => {
+                if (req.params.id > 100) {
+                    throw new NotFound('Post not found', { code: 'POST_NOT_FOUND' });
+                }
+                return { id: req.params.id, title: 'Hello', authorEmail: 'hidden@example.com' };
+            }
+        }
+    },
+    crash: {
+        method: 'get',
+        handler: async () => {
+            throw new Error('database password leaked in message');
+        }
+    }
+};
+
+const server = new FastNodeREST({
+    port: 3000,
+    enableLogging: false,
+    services: { users },
+    routes,
+    ...JWT_CONFIG
+});
+
+// Просроченный access token, чтобы auth перешёл к refresh cookie
+const expiredToken = (userId) => jwt.sign(
+    { user_id: userId, type: 'access', exp: Math.floor(Date.now() / 1000) - 60 },
+    JWT_CONFIG.JWT_SECRET
+);
+
+const login = () => server.inject({
+    method: 'POST',
+    url: '/auth/login',
+    body: { username: 'admin', password: 'admin123' }
+});
+
+describe('validation', () => {
+    it('rejects a body that does not match the schema', async () => {
+        const res = await server.inject({ method: 'POST', url: '/auth/login', body: { username: '', extra: 1 } });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error.message, 'Validation failed');
+        assert.deepStrictEqual(res.body.error.errors.map(({ field, message }) => `${field} ${message}`).sort(), [
+            'extra is not allowed',
+            'password is required',
+            'username must be at least 1 characters'
+        ]);
+    });
+
+    it('rejects inherited property names with additionalProperties: false', async () => {
+        const res = await server.inject({
+            method: 'POST',
+            url: '/auth/login',
+            body: { username: 'admin', password: 'admin123', constructor: {}, valueOf: 1 }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body.error.errors.map(error => error.field), ['constructor', 'valueOf']);
+    });
+
+    it('coerces params and strips fields missing from the response schema', async () => {
+        const res = await server.inject({ url: '/posts/7' });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { id: 7, title: 'Hello' });
+
+        const invalid = await server.inject({ url: '/posts/abc' });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.error.errors[0].location, 'params');
+    });
+});
+
+describe('auth', () => {
+    it('login returns an access token and a refresh cookie', async () => {
+        const res = await login();
+
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.accessToken);
+        assert.ok(res.cookies.refreshToken);
+
+        const profile = await server.inject({
+            url: '/profile',
+            headers: { Authorization: `Bearer ${res.body.accessToken}` }
+        });
+        assert.deepStrictEqual(profile.body, { user_id: 1, refreshed: false });
+    });
+
+    it('wrong credentials and missing tokens get 401', async () => {
+        const wrong = await server.inject({ method: 'POST', url: '/auth/login', body: { username: 'admin', password: 'nope' } });
+        assert.strictEqual(wrong.status, 401);
+        assert.strictEqual(wrong.body.error.code, 'INVALID_CREDENTIALS');
+
+        const missing = await server.inject({ url: '/profile' });
+        assert.strictEqual(missing.status, 401);
+    });
+
+    it('an expired access token is refreshed from the cookie and the refresh token rotates', async () => {
+        const { cookies } = await login();
+
+        const res = await server.inject({
+            url: '/profile',
+            headers: { Authorization: `Bearer ${expiredToken(1)}` },
+            cookies: { refreshToken: cookies.refreshToken }
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { user_id: 1, refreshed: true });
+        assert.ok(res.headers['x-new-access-token']);
+        assert.ok(res.cookies.refreshToken);
+        assert.notStrictEqual(res.cookies.refreshToken, cookies.refreshToken);
+
+        // Новый access token принимается без cookie
+        const next = await server.inject({
+            url: '/profile',
+            headers: { Authorization: `Bearer ${res.headers['x-new-access-token']}` }
+        });
+        assert.deepStrictEqual(next.body, { user_id: 1, refreshed: false });
+    });
+
+    it('reusing a rotated refresh token revokes the whole family', async () => {
+        const { cookies } = await login();
+        const headers = { Authorization: `Bearer ${expiredToken(1)}` };
+
+        const rotated = await server.inject({ url: '/profile', headers, cookies: { refreshToken: cookies.refreshToken } });
+        assert.strictEqual(rotated.status, 200);
+
+        const reused = await server.inject({ url: '/profile', headers, cookies: { refreshToken: cookies.refreshToken } });
+        assert.strictEqual(reused.status, 401);
+        assert.strictEqual(reused.body.error.code, 'REFRESH_TOKEN_REUSED');
+
+        // Токен, выданный при ротации, отозван вместе с семейством
+        const stolen = await server.inject({ url: '/profile', headers, cookies: { refreshToken: rotated.cookies.refreshToken } });
+        assert.strictEqual(stolen.status, 401);
+    });
+
+    it('an invalid refresh cookie is cleared with the configured path and domain', async () => {
+        const scoped = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            refreshCookieOptions: { path: '/api', domain: 'example.com' },
+            services: { users },
+            routes,
+            ...JWT_CONFIG
+        });
+
+        const res = await scoped.inject({
+            url: '/profile',
+            headers: { Authorization: `Bearer ${expiredToken(1)}` },
+            cookies: { refreshToken: 'not-a-token' }
+        });
+
+        assert.strictEqual(res.status, 401);
+        const [cleared] = res.headers['set-cookie'];
+        assert.match(cleared, /^refreshToken=;/);
+        assert.match(cleared, /Path=\/api/);
+        assert.match(cleared, /Domain=example\.com/);
+    });
+
+    it('roles are checked against the token payload', async () => {
+        const user = server.jwt.issueAccessToken(2, { role: 'user' });
+        const admin = server.jwt.issueAccessToken(1, { role: 'admin' });
+
+        const denied = await server.inject({ url: '/admin', headers: { Authorization: `Bearer ${user}` } });
+        assert.strictEqual(denied.status, 403);
+
+        const allowed = await server.inject({ url: '/admin', headers: { Authorization: `Bearer ${admin}` } });
+        assert.strictEqual(allowed.status, 200);
+    });
+});
+
+describe('errors', () => {
+    it('HttpError fields and status are sent in the default format', async () => {
+        const res = await server.inject({ url: '/posts/101' });
+
+        assert.strictEqual(res.status, 404);
+        assert.deepStrictEqual(res.body.error, { message: 'Post not found', status: 404, code: 'POST_NOT_FOUND' });
+    });
+
+    it('unknown routes get 404', async () => {
+        const res = await server.inject({ url: '/missing' });
+        assert.strictEqual(res.status, 404);
+    });
+
+    it('5xx messages are masked by default, whatever NODE_ENV is', async () => {
+        const res = await server.inject({ url: '/crash' });
+
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.body.error.message, 'Internal Server Error');
+        assert.ok(res.body.error.errorId);
+        assert.strictEqual(res.body.error.stack, undefined);
+    });
+
+    it('errorReporter receives 5xx errors and a top-level onError option is rejected', async () => {
+        const reported = [];
+        const reporting = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            errorReporter: (err, req, { errorId, status }) => reported.push({ message: err.message, errorId, status }),
+            routes
+        });
+
+        const res = await reporting.inject({ url: '/crash' });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(reported, [{ message: 'database password leaked in message', errorId: res.body.error.errorId, status: 500 }]);
+
+        assert.throws(() => new FastNodeREST({ port: 3000, onError: () => {} }), /errorReporter/);
+    });
+
+    it('debugErrors: true sends the message and stack of 5xx errors', async () => {
+        const debug = new FastNodeREST({ port: 3000, enableLogging: false, debugErrors: true, routes });
+
+        const res = await debug.inject({ url: '/crash' });
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.body.error.message, 'database password leaked in message');
+        assert.ok(Array.isArray(res.body.error.stack));
+    });
+
+    it('errorFormat: problem sends application/problem+json', async () => {
+        const problem = new FastNodeREST({ port: 3000, enableLogging: false, errorFormat: 'problem', jsonLimit: '100kb', routes });
+
+        const res = await problem.inject({ url: '/posts/101' });
+        assert.strictEqual(res.status, 404);
+        assert.match(res.headers['content-type'], /^application\/problem\+json/);
+        assert.strictEqual(res.body.title, 'Not Found');
+        assert.strictEqual(res.body.status, 404);
+        assert.strictEqual(res.body.detail, 'Post not found');
+        assert.strictEqual(res.body.code, 'POST_NOT_FOUND');
+
+        // Служебные поля body-parser не попадают в ответ и не задают type
+        const tooLarge = await problem.inject({
+            method: 'POST',
+            url: '/auth/login',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'x'.repeat(200 * 1024) })
+        });
+        assert.strictEqual(tooLarge.status, 413);
+        assert.strictEqual(tooLarge.body.type, 'about:blank');
+        assert.strictEqual(tooLarge.body.expose, undefined);
+        assert.strictEqual(tooLarge.body.statusCode, undefined);
+    });
+});
+
+describe('inject', () => {
+    it('parallel calls on a fresh server share one build', async () => {
+        const fresh = new FastNodeREST({ port: 3000, enableLogging: false, routes: {} });
+        fresh.register(async (scope) => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            scope.addRoutes({ ping: { method: 'get', handler: async () => ({ pong: true }) } });
+        }, { prefix: '/plugin' });
+
+        const results = await Promise.all([1, 2, 3].map(() => fresh.inject({ url: '/plugin/ping' })));
+        assert.deepStrictEqual(results.map(res => res.status), [200, 200, 200]);
+    });
+
+    it('rejects when the server aborts the response', async () => {
+        const aborting = new FastNodeREST({ port: 3000, enableLogging: false, routes: {
+            feed: {
+                method: 'get',
+                handler: async function* () {
+                    yield { id: 1 };
+                    throw new Error('cursor lost');
+                }
+            }
+        } });
+
+        await assert.rejects(aborting.inject({ url: '/feed' }), /socket hang up/);
+    });
+});
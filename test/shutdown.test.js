@@ -0,0 +1,78 @@
+const assert = require('assert');
+const http = require('http');
+const FastNodeREST = require('../index.js');
+
+const PORT = 3919;
+
+const get = (path) => new Promise((resolve, reject) => {
+    http.get({ port: PORT, path }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    }).on('error', reject);
+});
+
+describe('graceful shutdown', () => {
+    let server;
+    let release;
+    let started;
+
+    beforeEach(async () => {
+        let markStarted;
+        started = new Promise(resolve => { markStarted = resolve; });
+        server = new FastNodeREST({
+            port: PORT,
+            enableLogging: false,
+            routes: {
+                slow: {
+                    method: 'get',
+                    handler: async () => {
+                        markStarted();
+                        await new Promise(resolve => { release = resolve; });
+                        return { done: true };
+                    }
+                }
+            }
+        });
+        await server.start();
+    });
+
+    afterEach(() => server.stop({ timeout: 100 }));
+
+    it('waits for in-flight requests before closing and running onClose hooks in order', async () => {
+        const events = [];
+        server.onClose(async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            events.push('first');
+        });
+        server.onClose(() => events.push('second'));
+
+        const pending = get('/slow');
+        await started;
+
+        const stopped = server.stop().then(() => events.push('stopped'));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepStrictEqual(events, []);
+
+        release();
+        const res = await pending;
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { done: true });
+
+        await stopped;
+        assert.deepStrictEqual(events, ['first', 'second', 'stopped']);
+        await assert.rejects(get('/slow'), { code: 'ECONNREFUSED' });
+    });
+
+    it('closes hanging connections after the timeout and still runs onClose hooks', async () => {
+        let hookCalls = 0;
+        server.onClose(() => { hookCalls++; });
+
+        const pending = get('/slow');
+        await started;
+
+        await server.stop({ timeout: 50 });
+        await assert.rejects(pending, { code: 'ECONNRESET' });
+        assert.strictEqual(hookCalls, 1);
+    });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+const FastNodeREST = require('../index.js');
+
+const PORT = 3918;
+
+describe('streaming', () => {
+    let server;
+    const cleanup = [];
+
+    before(async () => {
+        server = new FastNodeREST({
+            port: PORT,
+            enableLogging: false,
+            routes: {
+                rows: {
+                    method: 'get',
+                    handler: async function* () {
+                        yield { id: 1 };
+                        yield { id: 2 };
+                    }
+                },
+                file: {
+                    method: 'get',
+                    handler: async (req, res) => {
+                        res.type('text/plain');
+                        return Readable.from([Buffer.from('hello '), Buffer.from('world')]);
+                    }
+                },
+                events: {
+                    method: 'get',
+                    handler: async () => server.sse((stream) => {
+                        stream.send({ resumedAfter: stream.lastEventId }, { id: 3, event: 'progress' });
+                        stream.send('line 1\nline 2');
+                        stream.close();
+                    }, { heartbeat: 0, retry: 1000 })
+                },
+                endless: {
+                    method: 'get',
+                    handler: async function* () {
+                        try {
+                            for (let id = 1; ; id++) {
+                                yield { id };
+                                await new Promise(resolve => setTimeout(resolve, 10));
+                            }
+                        } finally {
+                            cleanup.push('generator');
+                        }
+                    }
+                },
+                live: {
+                    method: 'get',
+                    handler: async () => server.sse((stream) => {
+                        stream.send('ready');
+                        stream.onClose(() => cleanup.push('sse'));
+                    }, { heartbeat: 0 })
+                }
+            }
+        });
+        await server.start();
+    });
+
+    after(() => server.stop({ timeout: 500 }));
+
+    it('sends async generator results as NDJSON', async () => {
+        const res = await server.inject({ url: '/rows' });
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+        assert.strictEqual(res.rawBody, '{"id":1}\n{"id":2}\n');
+    });
+
+    it('pipes byte streams as they are', async () => {
+        const res = await server.inject({ url: '/file' });
+
+        assert.match(res.headers['content-type'], /^text\/plain/);
+        assert.strictEqual(res.rawBody, 'hello world');
+    });
+
+    it('formats server-sent events and passes Last-Event-ID to the source', async () => {
+        const res = await server.inject({ url: '/events', headers: { 'Last-Event-ID': '2' } });
+
+        assert.match(res.headers['content-type'], /^text\/event-stream/);
+        assert.strictEqual(res.rawBody, [
+            'retry: 1000',
+            '',
+            'id: 3',
+            'event: progress',
+            'data: {"resumedAfter":"2"}',
+            '',
+            'data: line 1',
+            'data: line 2',
+            '',
+            ''
+        ].join('\n'));
+    });
+
+    it('stops generators and runs onClose when the client disconnects', async () => {
+        const disconnectAfterFirstChunk = (path) => new Promise((resolve, reject) => {
+            const req = http.get({ port: PORT, path }, (res) => {
+                res.once('data', () => {
+                    req.destroy();
+                    resolve();
+                });
+            });
+            req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+        });
+
+        await disconnectAfterFirstChunk('/endless');
+        await disconnectAfterFirstChunk('/live');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.deepStrictEqual(cleanup.sort(), ['generator', 'sse']);
+    });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastNodeREST = require('../index.js');
+
+const BOUNDARY = 'test-boundary';
+
+// parts: [{ name, value }] или [{ name, filename, type, value }]
+const multipart = (parts) => ({
+    headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` },
+    body: Buffer.from(parts.map(({ name, filename, type = 'text/plain', value }) => [
+        `--${BOUNDARY}`,
+        `Content-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}`,
+        ...(filename ? [`Content-Type: ${type}`] : []),
+        '',
+        value
+    ].join('\r\n')).join('\r\n') + `\r\n--${BOUNDARY}--\r\n`)
+});
+
+const waitForUnlink = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('uploads', () => {
+    let tmpDir;
+    let server;
+    let received;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-node-rest-upload-'));
+        received = null;
+        server = new FastNodeREST({
+            port: 3000,
+            enableLogging: false,
+            routes: {
+                avatar: {
+                    method: 'post',
+                    upload: {
+                        fields: [{ name: 'avatar', maxCount: 1 }],
+                        maxFileSize: 16,
+                        maxFields: 2,
+                        maxFieldSize: 8,
+                        allowedTypes: ['image/*'],
+                        tmpDir
+                    },
+                    handler: async (req) => {
+                        const [file] = req.files;
+                        received = { ...file, content: fs.readFileSync(file.path, 'utf8') };
+                        return { body: req.body, size: file.size, mimetype: file.mimetype };
+                    }
+                }
+            }
+        });
+    });
+
+    afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('stores files in temp files, passes fields in req.body and cleans up after the response', async () => {
+        const res = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([
+                { name: 'title', value: 'me' },
+                { name: 'avatar', filename: 'me.png', type: 'image/png', value: 'png-bytes' }
+            ])
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { body: { title: 'me' }, size: 9, mimetype: 'image/png' });
+        assert.strictEqual(received.content, 'png-bytes');
+        assert.strictEqual(path.dirname(received.path), tmpDir);
+
+        await waitForUnlink();
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    });
+
+    it('rejects files over maxFileSize with 413 and removes partial files', async () => {
+        const res = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([{ name: 'avatar', filename: 'big.png', type: 'image/png', value: 'x'.repeat(64) }])
+        });
+
+        assert.strictEqual(res.status, 413);
+        assert.strictEqual(received, null);
+
+        await waitForUnlink();
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    });
+
+    it('answers 413 when a field or the field count is over the limit', async () => {
+        const longField = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([{ name: 'title', value: 'much too long' }])
+        });
+        assert.strictEqual(longField.status, 413);
+        assert.strictEqual(longField.body.error.field, 'title');
+
+        const manyFields = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([{ name: 'a', value: '1' }, { name: 'b', value: '2' }, { name: 'c', value: '3' }])
+        });
+        assert.strictEqual(manyFields.status, 413);
+    });
+
+    it('answers 413 for too many files in a field', async () => {
+        const res = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([
+                { name: 'avatar', filename: 'a.png', type: 'image/png', value: 'a' },
+                { name: 'avatar', filename: 'b.png', type: 'image/png', value: 'b' }
+            ])
+        });
+
+        assert.strictEqual(res.status, 413);
+    });
+
+    it('answers 415 for a disallowed type or a non-multipart body', async () => {
+        const wrongType = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([{ name: 'avatar', filename: 'a.exe', type: 'application/x-msdownload', value: 'MZ' }])
+        });
+        assert.strictEqual(wrongType.status, 415);
+
+        const json = await server.inject({ method: 'POST', url: '/avatar', body: { avatar: 'nope' } });
+        assert.strictEqual(json.status, 415);
+    });
+
+    it('answers 400 for an unexpected file field', async () => {
+        const res = await server.inject({
+            method: 'POST',
+            url: '/avatar',
+            ...multipart([{ name: 'other', filename: 'a.png', type: 'image/png', value: 'a' }])
+        });
+
+        assert.strictEqual(res.status, 400);
+    });
+});
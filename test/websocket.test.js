@@ -0,0 +1,116 @@
+const assert = require('assert');
+const WebSocket = require('ws');
+const FastNodeREST = require('../index.js');
+
+const PORT = 3917;
+
+// Результат подключения: первое сообщение или HTTP статус отказа
+const connect = (path, options) => new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}${path}`, options);
+    const messages = [];
+
+    ws.on('message', data => messages.push(data.toString()));
+    ws.on('open', () => resolve({ ws, messages }));
+    ws.on('unexpected-response', (req, res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    ws.on('error', error => resolve({ error }));
+});
+
+const nextMessage = ({ ws, messages }) => new Promise((resolve) => {
+    if (messages.length > 0) return resolve(messages.shift());
+    ws.once('message', () => resolve(messages.shift()));
+});
+
+describe('websocket', () => {
+    let server;
+    let plainCalls = 0;
+
+    before(async () => {
+        server = new FastNodeREST({
+            port: PORT,
+            enableLogging: false,
+            JWT_SECRET: 'test-access',
+            JWT_REFRESH: 'test-refresh',
+            routes: {
+                plain: {
+                    method: 'get',
+                    handler: async () => ({ calls: ++plainCalls })
+                },
+                echo: {
+                    ws: { json: true },
+                    handler: (conn) => {
+                        conn.onMessage(message => conn.send({ echo: message }));
+                    }
+                },
+                feed: {
+                    method: 'ws',
+                    auth: 'user',
+                    handler: (conn, req) => conn.send(`user:${conn.user.user_id}:${req.originalUrl}`)
+                },
+                admin: {
+                    method: 'ws',
+                    auth: { roles: ['admin'] },
+                    handler: (conn) => conn.send('admin')
+                }
+            }
+        });
+        await server.start();
+    });
+
+    after(() => server.stop({ timeout: 500 }));
+
+    it('does not run plain GET routes or built-in endpoints for upgrade requests', async () => {
+        const plain = await connect('/plain');
+        assert.strictEqual(plain.status, 404);
+        assert.strictEqual(plainCalls, 0);
+
+        const health = await connect('/health-check');
+        assert.strictEqual(health.status, 404);
+    });
+
+    it('still serves the plain route over HTTP', async () => {
+        const res = await server.inject({ url: '/plain' });
+        assert.deepStrictEqual(res.body, { calls: 1 });
+    });
+
+    it('exchanges JSON messages on a ws route', async () => {
+        const client = await connect('/echo');
+        client.ws.send(JSON.stringify({ n: 1 }));
+
+        assert.deepStrictEqual(JSON.parse(await nextMessage(client)), { echo: { n: 1 } });
+        client.ws.close();
+    });
+
+    it('authenticates with the token query parameter and hides it from the URL', async () => {
+        const token = server.jwt.issueAccessToken(7, { role: 'user' });
+        const client = await connect(`/feed?token=${token}`);
+
+        const message = await nextMessage(client);
+        assert.match(message, /^user:7:/);
+        assert.ok(!message.includes(token));
+        client.ws.close();
+    });
+
+    it('authenticates with the Authorization header', async () => {
+        const token = server.jwt.issueAccessToken(8, { role: 'user' });
+        const client = await connect('/feed', { headers: { Authorization: `Bearer ${token}` } });
+
+        assert.match(await nextMessage(client), /^user:8:/);
+        client.ws.close();
+    });
+
+    it('rejects the upgrade with 401 without a valid token and 403 without the role', async () => {
+        const anonymous = await connect('/feed');
+        assert.strictEqual(anonymous.status, 401);
+
+        const invalid = await connect('/feed?token=garbage');
+        assert.strictEqual(invalid.status, 401);
+
+        const user = server.jwt.issueAccessToken(9, { role: 'user' });
+        const forbidden = await connect(`/admin?token=${user}`);
+        assert.strictEqual(forbidden.status, 403);
+    });
+});